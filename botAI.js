@@ -1,28 +1,142 @@
 /**
  * Tongits Bot AI
- * Implements Easy, Medium, and Hard logic.
+ * Implements Easy, Medium, Hard and Expert logic.
  */
 const { GameUtils } = require('./gameEngine');
+const GameRules = require('./gameRules');
+const CardTracker = require('./cardTracker');
+const MonteCarlo = require('./monteCarlo');
+
+const FIGHT_MARGIN = 0.7; // Hard bots fight only when under 70% of every challenger's estimated deadwood
+const MEDIUM_DRAW_POINTS = 7; // Medium bots call fight under this many points, and challenge one under it
+const EXPOSE_STOCK = 12; // Once opened, hard bots hold further melds until the stock is this low
 
 class BotAI {
-    static getAction(player, gameState) {
+    /**
+     * A bot strategy (see botStrategies.js) that plays one of the built-in difficulties
+     */
+    static strategy(difficulty, label, order) {
+        return {
+            id: difficulty,
+            label,
+            order,
+            takeTurn: (view, helpers) => this.takeTurn(difficulty, view, helpers),
+            answerFight: (view, helpers) =>
+                this.getFightResponse(this.seatPlayer(view, helpers.seatId, difficulty), view, helpers.random, helpers.memory)
+        };
+    }
+
+    /**
+     * A whole turn, one getAction decision per step: each expose or sapaw is
+     * tried on the helpers' scratch copy before deciding the next
+     */
+    static takeTurn(difficulty, view, helpers) {
+        let player = this.seatPlayer(view, helpers.seatId, difficulty);
+        const turn = { plays: [] };
+
+        if (view.phase === 'draw') {
+            const decision = this.getAction(player, view, helpers.random, helpers.memory);
+            if (decision === 'fight' && helpers.canFight()) return { fight: true };
+
+            const topCard = view.discardPile[view.discardPile.length - 1];
+            const meld = decision === 'draw-discard' && topCard && this.findMeldWithCard(player.hand, topCard);
+            turn.draw = meld
+                ? { source: 'discard', cardIds: meld.filter(c => c !== topCard).map(c => c.id) }
+                : { source: 'stock' };
+            view = helpers.draw(turn.draw);
+        }
+
+        // Expose and sapaw until the bot discards, calls Tongit or empties its hand
+        while (view.status === 'playing') {
+            player = this.seatPlayer(view, helpers.seatId, difficulty);
+            const decision = this.getAction(player, view, helpers.random, helpers.memory);
+            if (decision.action === 'tongit') return { ...turn, tongit: true, discardCardId: decision.discardCardId };
+
+            let play = null;
+            if (decision.action === 'expose' || decision.action === 'secret-set') {
+                play = { type: decision.action, cardIds: decision.cardIds };
+            } else if (decision.action === 'sapaw') {
+                play = { type: 'sapaw', targetPlayerId: decision.targetPlayerId, meldIndex: decision.meldIndex, cardId: decision.cardId };
+            }
+            const next = play && helpers.play(play);
+            if (!next) {
+                // Discard the bot's pick, or the least useful card if its play was illegal
+                const cardId = decision.action === 'discard' ? decision.cardId : player.hand[this.findBestDiscard(player.hand)].id;
+                return { ...turn, discardCardId: cardId };
+            }
+            turn.plays.push(play);
+            view = next;
+        }
+        return turn;
+    }
+
+    /**
+     * The bot's own seat in its view, with the difficulty it plays at
+     */
+    static seatPlayer(view, seatId, difficulty) {
+        return { ...view.players.find(p => p.id === seatId), difficulty };
+    }
+
+    /**
+     * Picks the bot's next move from its seat's view of the game. `random`
+     * should be the round's seeded stream (GameSession.random) so a hand
+     * replays exactly from its seed; `memory` is the seat's CardTracker.
+     */
+    static getAction(player, gameState, random = Math.random, memory = null) {
         switch (player.difficulty) {
             case 'easy':
-                return this.easyLogic(player, gameState);
+                return this.easyLogic(player, gameState, random);
             case 'medium':
                 return this.mediumLogic(player, gameState);
             case 'hard':
-                return this.hardLogic(player, gameState);
+                return this.hardLogic(player, gameState, this.seatMemory(player, gameState, memory));
+            case 'expert':
+                return this.expertLogic(player, gameState, random, this.seatMemory(player, gameState, memory));
             default:
-                return this.easyLogic(player, gameState);
+                return this.easyLogic(player, gameState, random);
         }
     }
 
-    static easyLogic(player, gameState) {
+    /**
+     * Answers another player's fight call: 'fold' or 'challenge'
+     */
+    static getFightResponse(player, gameState, random = Math.random, memory = null) {
+        if (!player.hasOpened) return 'fold';
+        const myWeight = GameUtils.calculateHandValue(player.hand);
+
+        switch (player.difficulty) {
+            case 'expert': {
+                const tracker = this.seatMemory(player, gameState, memory);
+                return MonteCarlo.chooseFightResponse(player, gameState, tracker, random, this.searchBudget(gameState)) ||
+                    this.hardFightResponse(player, gameState, tracker);
+            }
+            case 'hard':
+                return this.hardFightResponse(player, gameState, this.seatMemory(player, gameState, memory));
+            case 'medium':
+                // Challenge with a hand it would have called fight with itself
+                return myWeight < this.pointThreshold(MEDIUM_DRAW_POINTS, gameState) ? 'challenge' : 'fold';
+            default:
+                return random() < 0.5 ? 'challenge' : 'fold';
+        }
+    }
+
+    /**
+     * A caller holds little: challenge under both our estimate of their hand
+     * and a low bar, raised for a caller who calls fights often
+     */
+    static hardFightResponse(player, gameState, memory) {
+        const caller = gameState.players.find(p => p.id === gameState.fight.callerId);
+        const estimate = memory.estimateDeadwood(caller, player.hand);
+        const bar = this.pointThreshold(8 + 6 * memory.opponents.aggression(caller.id), gameState);
+        const myWeight = GameUtils.calculateHandValue(player.hand);
+        return myWeight <= Math.min(estimate, bar) ? 'challenge' : 'fold';
+    }
+
+    static easyLogic(player, gameState, random) {
         if (gameState.phase === 'draw') {
             const canDrawDiscard = this.canDrawDiscard(player, gameState.discardPile);
             // Easy bot rarely picks up discard unless prompted (random 30%)
-            return (Math.random() < 0.3 && canDrawDiscard) ? 'draw-discard' : 'draw-stock';
+            return (random() < 0.3 && canDrawDiscard) ? 'draw-discard' : 'draw-stock';
         }
 
         if (gameState.phase === 'action') {
@@ -30,99 +144,146 @@ class BotAI {
             for (const otherPlayer of gameState.players) {
                 for (let mIdx = 0; mIdx < otherPlayer.exposedMelds.length; mIdx++) {
                     const meld = otherPlayer.exposedMelds[mIdx];
+                    if (meld.isSecret) continue;
                     for (let cIdx = 0; cIdx < player.hand.length; cIdx++) {
                         if (GameUtils.canLayOff(player.hand[cIdx], meld.cards)) {
-                            return { action: 'sapaw', targetPlayerId: otherPlayer.id, meldIndex: mIdx, cardIndex: cIdx };
+                            return { action: 'sapaw', targetPlayerId: otherPlayer.id, meldIndex: mIdx, cardId: player.hand[cIdx].id };
                         }
                     }
                 }
             }
 
             // Easy bot discards randomly
-            const discardIdx = Math.floor(Math.random() * player.hand.length);
-            return { action: 'discard', cardIndex: discardIdx };
+            const discardIdx = Math.floor(random() * player.hand.length);
+            return { action: 'discard', cardId: player.hand[discardIdx].id };
         }
     }
 
     static mediumLogic(player, gameState) {
+        /**
+         * RULES-BASED MEDIUM BOT STRATEGY:
+         * - Takes the discard only when it completes a meld, otherwise draws from stock
+         * - Calls fight once opened with under 7 points
+         * - Lays four of a kind down face-down as a secret set
+         * - Opens only with 2+ melds or over 15 unmelded points, and keeps
+         *   melds with 10s and face cards hidden while the stock is deep
+         * - Lays off 10, J, Q and K first
+         * - Discards the highest unmelded card that isn't part of a near-meld
+         */
+        const me = gameState.players.find(p => p.id === player.id);
+
         if (gameState.phase === 'draw') {
-            const canDrawDiscard = this.canDrawDiscard(player, gameState.discardPile);
-            // Medium bot always picks up discard if it forms a meld
-            return canDrawDiscard ? 'draw-discard' : 'draw-stock';
+            const weight = GameUtils.calculateHandValue(player.hand);
+            if (player.hasOpened && !me.fightBlockReason && weight < this.pointThreshold(MEDIUM_DRAW_POINTS, gameState)) {
+                return 'fight';
+            }
+            return this.canDrawDiscard(player, gameState.discardPile) ? 'draw-discard' : 'draw-stock';
         }
 
         if (gameState.phase === 'action') {
-            // 1. Look for Sapaw opportunities
-            for (const otherPlayer of gameState.players) {
-                for (let mIdx = 0; mIdx < otherPlayer.exposedMelds.length; mIdx++) {
-                    const meld = otherPlayer.exposedMelds[mIdx];
-                    for (let cIdx = 0; cIdx < player.hand.length; cIdx++) {
-                        if (GameUtils.canLayOff(player.hand[cIdx], meld.cards)) {
-                            return { action: 'sapaw', targetPlayerId: otherPlayer.id, meldIndex: mIdx, cardIndex: cIdx };
-                        }
-                    }
-                }
-            }
+            // 0. Declare Tongit if the hand is already fully melded
+            const tongit = this.findTongit(player, gameState);
+            if (tongit) return tongit;
 
-            // 2. Look for melds in hand and expose them (Medium bot exposes all if it helps)
-            const possibleMelds = GameUtils.findPossibleMelds(player.hand);
-            if (possibleMelds.length > 0) {
-                const meldIndices = this.getIndicesForMeld(player.hand, possibleMelds[0]);
-                return { action: 'expose', cardIndexes: meldIndices };
-            }
+            const { melds, deadwood, value } = GameUtils.findBestMeldPartition(player.hand);
+
+            // 1. Meld: four of a kind face-down, then the melds worth showing
+            const meld = this.mediumMeld(player, gameState, melds, value);
+            if (meld) return meld;
 
-            // 2. Otherwise discard the least useful card
-            const discardIdx = this.findBestDiscard(player.hand);
-            return { action: 'discard', cardIndex: discardIdx };
+            // 2. Lay off unmelded cards, highest first
+            const layoff = this.mediumLayoff(gameState, deadwood);
+            if (layoff) return layoff;
+
+            // 3. Discard the highest unmelded card that isn't part of a near-meld
+            const card = this.mediumDiscard(deadwood);
+            return { action: 'discard', cardId: card ? card.id : player.hand[this.findBestDiscard(player.hand)].id };
         }
     }
 
-    static hardLogic(player, gameState) {
+    /**
+     * The medium bot's next meld to lay down, or null to keep its melds in hand
+     */
+    static mediumMeld(player, gameState, melds, deadwoodValue) {
+        const rules = gameState.rules || GameRules.defaults();
+        const four = melds.find(m => m.length === 4 && GameUtils.isSet(m));
+        if (four && rules.allowSecretSets) return { action: 'secret-set', cardIds: four.map(c => c.id) };
+
+        const opens = player.hasOpened || melds.length >= 2 || deadwoodValue > this.pointThreshold(15, gameState);
+        if (!opens || melds.length === 0) return null;
+
+        // Melds with 10s and face cards stay hidden while the stock is deep, unless one has to open the hand
+        const showing = gameState.stockCount < 10
+            ? melds
+            : melds.filter(m => !m.some(c => this.cardValue(c) === 10));
+        const byWeight = [...melds].sort((a, b) => this.meldWeight(a) - this.meldWeight(b));
+        const meld = showing[0] || (player.hasOpened ? null : byWeight[0]);
+        return meld ? { action: 'expose', cardIds: meld.map(c => c.id) } : null;
+    }
+
+    /**
+     * A sapaw of the highest unmelded card that fits any face-up meld, or null
+     */
+    static mediumLayoff(gameState, deadwood) {
+        const cards = [...deadwood].sort((a, b) => this.cardValue(b) - this.cardValue(a));
+        for (const card of cards) {
+            for (const owner of gameState.players) {
+                const meldIndex = owner.exposedMelds.findIndex(m => !m.isSecret && GameUtils.canLayOff(card, m.cards));
+                if (meldIndex >= 0) return { action: 'sapaw', targetPlayerId: owner.id, meldIndex, cardId: card.id };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * The highest unmelded card with no partner toward a set or run (same
+     * rank, or same suit within two ranks); the highest unmelded card if every
+     * one has a partner; null if nothing is unmelded
+     */
+    static mediumDiscard(deadwood) {
+        const highest = cards => cards.reduce((best, c) =>
+            (!best || c.value > best.value || (c.value === best.value && c.getRankIndex() > best.getRankIndex()) ? c : best), null);
+        const loners = deadwood.filter(card => !deadwood.some(c => c !== card &&
+            (c.rank === card.rank || (c.suit === card.suit && Math.abs(c.getRankIndex() - card.getRankIndex()) <= 2))));
+        return highest(loners) || highest(deadwood);
+    }
+
+    static hardLogic(player, gameState, memory) {
         /**
-         * AGGRESSIVE HARD BOT STRATEGY:
-         * - Full knowledge of all cards (opponent hands, draw pile, discard pile)
-         * - Exposes melds immediately (greedy approach)
-         * - Calls fight when eligible and has lowest points
-         * - Prioritizes discarding high-value cards that don't contribute to melds
-         * - Takes discard pile cards aggressively if they complete melds
+         * CARD-COUNTING HARD BOT STRATEGY:
+         * - Sees only its own seat: its hand, the table and its memory of the round
+         * - Calls fight when its points are well under every challenger's estimated deadwood
+         * - Takes discards that complete a meld without breaking a better one
+         * - Opens with its largest meld, then holds melds back while the stock is deep
+         * - Discards high cards that opponents are unlikely to meld with
+         * - Adjusts all of the above to what it has learned about each opponent
          */
 
         if (gameState.phase === 'draw') {
-            // Always pick up discard if it forms a meld (aggressive)
-            const canDrawDiscard = this.canDrawDiscard(player, gameState.discardPile);
-            return canDrawDiscard ? 'draw-discard' : 'draw-stock';
+            // PRIORITY 1: Call FIGHT at the start of the turn if we expect to win it
+            const me = gameState.players.find(p => p.id === player.id);
+            if (player.hasOpened && !me.fightBlockReason && this.expectsToWinFight(player, gameState, memory)) {
+                return 'fight';
+            }
+
+            // Pick up the discard when it lowers our deadwood
+            const topCard = gameState.discardPile[gameState.discardPile.length - 1];
+            const meld = topCard && this.findMeldWithCard(player.hand, topCard);
+            if (meld) {
+                const after = GameUtils.calculateHandValue(player.hand.filter(c => !meld.includes(c)));
+                if (after <= GameUtils.calculateHandValue(player.hand)) return 'draw-discard';
+            }
+            return 'draw-stock';
         }
 
         if (gameState.phase === 'action') {
-            // PRIORITY 1: Check if we can call FIGHT and win
-            if (player.hasOpened && !player.openedThisTurn) {
-                // Check if any of our melds are still sapawable (not fully claimed by others)
-                const anySapawable = player.exposedMelds.some(m => !m.isSapawedByOthers);
-                if (anySapawable) {
-                    // Calculate our points vs opponents
-                    const myWeight = this.calculateHandWeight(player.hand);
-                    let canWinFight = true;
-
-                    // Check opponent hands (hard bot has knowledge of all hands)
-                    for (const otherPlayer of gameState.players) {
-                        if (otherPlayer.id === player.id) continue;
-                        const theirWeight = this.calculateHandWeight(otherPlayer.hand || []);
-                        if (theirWeight <= myWeight) {
-                            canWinFight = false;
-                            break;
-                        }
-                    }
-
-                    // If we have lowest points, FIGHT!
-                    if (canWinFight && myWeight <= 15) {
-                        return { action: 'fight' };
-                    }
-                }
-            }
+            // PRIORITY 1: Declare Tongit while the melds are still concealed
+            const tongit = this.findTongit(player, gameState);
+            if (tongit) return tongit;
 
-            // PRIORITY 2: Expose ALL melds immediately (greedy/aggressive)
+            // PRIORITY 2: Expose the largest meld, unless it is safer kept hidden
             const possibleMelds = GameUtils.findPossibleMelds(player.hand);
-            if (possibleMelds.length > 0) {
+            if (possibleMelds.length > 0 && !this.keepsMeldsHidden(player, gameState, memory)) {
                 // Find the largest meld (expose biggest first for maximum point reduction)
                 let bestMeld = possibleMelds[0];
                 for (const meld of possibleMelds) {
@@ -130,14 +291,14 @@ class BotAI {
                         bestMeld = meld;
                     }
                 }
-                const meldIndices = this.getIndicesForMeld(player.hand, bestMeld);
-                return { action: 'expose', cardIndexes: meldIndices };
+                return { action: 'expose', cardIds: bestMeld.map(c => c.id) };
             }
 
             // PRIORITY 3: Sapaw to get rid of cards (reduces our points, blocks opponent melds)
             for (const otherPlayer of gameState.players) {
                 for (let mIdx = 0; mIdx < otherPlayer.exposedMelds.length; mIdx++) {
                     const meld = otherPlayer.exposedMelds[mIdx];
+                    if (meld.isSecret) continue;
                     // Find the highest value card we can lay off
                     let bestSapawIdx = -1;
                     let bestSapawValue = 0;
@@ -151,26 +312,97 @@ class BotAI {
                         }
                     }
                     if (bestSapawIdx >= 0) {
-                        return { action: 'sapaw', targetPlayerId: otherPlayer.id, meldIndex: mIdx, cardIndex: bestSapawIdx };
+                        return { action: 'sapaw', targetPlayerId: otherPlayer.id, meldIndex: mIdx, cardId: player.hand[bestSapawIdx].id };
                     }
                 }
             }
 
-            // PRIORITY 4: Discard the highest-value card that doesn't contribute to potential melds
-            const discardIdx = this.findAggressiveDiscard(player.hand);
-            return { action: 'discard', cardIndex: discardIdx };
+            // PRIORITY 4: Discard a high card that helps neither our melds nor an opponent
+            const discardIdx = this.findSafeDiscard(player, gameState, memory);
+            return { action: 'discard', cardId: player.hand[discardIdx].id };
         }
     }
 
     /**
-     * Calculate total weight of a hand
+     * EXPERT: searches sampled deals of the unseen cards (see MonteCarlo) and
+     * falls back to the hard strategy if its memory doesn't fit the table
      */
-    static calculateHandWeight(hand) {
-        const RANK_VALUES = {
-            'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7,
-            '8': 8, '9': 9, '10': 10, 'J': 10, 'Q': 10, 'K': 10
-        };
-        return (hand || []).reduce((sum, card) => sum + (RANK_VALUES[card.rank] || 0), 0);
+    static expertLogic(player, gameState, random, memory) {
+        const move = MonteCarlo.chooseAction(player, gameState, memory, random, this.searchBudget(gameState));
+        return move || this.hardLogic(player, gameState, memory);
+    }
+
+    /**
+     * The room's search budget for expert bots (see gameRules.js)
+     */
+    static searchBudget(gameState) {
+        const rules = gameState.rules || GameRules.defaults();
+        return { iterations: rules.botSearchIterations };
+    }
+
+    /**
+     * Our points are low and clearly under the estimated deadwood of every
+     * opponent who could challenge (unopened players have to fold)
+     */
+    static expectsToWinFight(player, gameState, memory) {
+        const myWeight = GameUtils.calculateHandValue(player.hand);
+        if (myWeight > this.pointThreshold(15, gameState)) return false;
+        return gameState.players
+            .filter(p => p.id !== player.id && p.hasOpened)
+            .every(p => myWeight < memory.estimateDeadwood(p, player.hand) * this.fightMargin(p.id, memory));
+    }
+
+    /**
+     * Share of an opponent's estimated deadwood we must be under to fight
+     * them: wider for one who usually folds, narrower for one who usually challenges
+     */
+    static fightMargin(opponentId, memory) {
+        return FIGHT_MARGIN + 0.2 * (0.5 - memory.opponents.habits(opponentId).challengeRate);
+    }
+
+    /**
+     * Once opened, a hard bot keeps its other melds in hand: they still count
+     * as melded, and melds on the table invite sapaws that block its fight
+     * calls. It lays them down near the end to sapaw its own leftovers onto
+     * them, later against opponents who sapaw a lot.
+     */
+    static keepsMeldsHidden(player, gameState, memory) {
+        if (!player.hasOpened) return false;
+        const sapawRate = Math.max(0, ...gameState.players
+            .filter(p => p.id !== player.id)
+            .map(p => memory.opponents.habits(p.id).sapawRate));
+        return gameState.stockCount > EXPOSE_STOCK * Math.max(0.25, 1 - 2 * sapawRate);
+    }
+
+    /**
+     * The card memory a hard bot decides from, brought up to date with the
+     * table. Without one (say a bot seated mid-round) it starts from the table.
+     */
+    static seatMemory(player, gameState, memory) {
+        const tracker = memory || new CardTracker(player.id);
+        tracker.seeTable(gameState);
+        return tracker;
+    }
+
+    /**
+     * A Tongit declaration when the bot's hand is fully melded, with or
+     * without a final discard; otherwise null
+     */
+    static findTongit(player, gameState) {
+        const me = gameState.players.find(p => p.id === player.id);
+        const options = me && me.tongitOptions;
+        if (!options) return null;
+        if (options.withoutDiscard) return { action: 'tongit', discardCardId: null };
+        if (options.discardCardIds.length > 0) return { action: 'tongit', discardCardId: options.discardCardIds[0] };
+        return null;
+    }
+
+    /**
+     * Scales a point threshold tuned for 12-card hands to the room's hand size
+     */
+    static pointThreshold(points, gameState) {
+        const handSize = gameState.rules ? gameState.rules.handSize : 12;
+        return Math.round(points * handSize / 12);
     }
 
     /**
@@ -192,14 +424,22 @@ class BotAI {
     }
 
     /**
-     * Aggressive discard: prioritize high-value cards that don't help form melds
+     * Safe discard: a high-value card that doesn't help form our melds and
+     * that opponents are unlikely to meld with (see CardTracker.discardDanger),
+     * weighted toward opponents who often take from the discard pile.
+     * With little stock left, shedding points matters more than safety.
      */
-    static findAggressiveDiscard(hand) {
+    static findSafeDiscard(player, gameState, memory) {
         const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+        const hand = player.hand;
+        const opponents = gameState.players.filter(p => p.id !== player.id);
+        const dangerWeight = gameState.stockCount < 10 ? 3 : 6;
+        const { deadwood } = GameUtils.findBestMeldPartition(hand);
         let bestIdx = 0;
         let bestScore = -1000; // Higher score = better to discard
 
         hand.forEach((card, idx) => {
+            if (deadwood.length > 0 && !deadwood.includes(card)) return; // Never break a held meld
             const cardVal = this.cardValue(card);
             const rIdx = RANKS.indexOf(card.rank);
 
@@ -213,6 +453,8 @@ class BotAI {
             let score = cardVal * 3; // Base score is card value (prefer discarding high cards)
             score -= runNeighbors.length * 15; // Penalize if part of potential run
             score -= setNeighbors.length * 15; // Penalize if part of potential set
+            score -= dangerWeight * opponents.reduce((sum, p) =>
+                sum + memory.discardDanger(card, hand, p.id) * memory.opponents.pickupWeight(p.id), 0);
 
             if (score > bestScore) {
                 bestScore = score;
@@ -250,25 +492,29 @@ class BotAI {
         return bestIdx;
     }
 
-    static getIndicesForMeld(hand, meldCards) {
-        const indices = [];
-        const tempHand = [...hand];
-        meldCards.forEach(mc => {
-            const idx = tempHand.findIndex(hc => hc && hc.rank === mc.rank && hc.suit === mc.suit);
-            if (idx !== -1) {
-                indices.push(idx);
-                tempHand[idx] = null;
-            }
-        });
-        return indices;
-    }
-
     static canDrawDiscard(player, discardPile) {
         if (discardPile.length === 0) return false;
         const topCard = discardPile[discardPile.length - 1];
         // Must form a NEW meld
-        const melds = GameUtils.findPossibleMelds([...player.hand, topCard]);
-        return melds.some(meld => meld.includes(topCard));
+        return this.findMeldWithCard(player.hand, topCard) !== null;
+    }
+
+    /**
+     * Picks the meld containing `card` that leaves the rest of the hand with
+     * the least deadwood, or null if the card cannot be melded.
+     */
+    static findMeldWithCard(hand, card) {
+        let best = null;
+        let bestValue = Infinity;
+        GameUtils.findAllMelds([...hand, card]).forEach(meld => {
+            if (!meld.includes(card)) return;
+            const value = GameUtils.calculateHandValue(hand.filter(c => !meld.includes(c)));
+            if (value < bestValue) {
+                bestValue = value;
+                best = meld;
+            }
+        });
+        return best;
     }
 }
 
@@ -0,0 +1,228 @@
+/**
+ * Tongits Bot Strategies
+ * Every bot plays through a strategy module found in bots/ at startup. A
+ * strategy exports:
+ *   id          unique name, stored as the bot's difficulty
+ *   label       name in the lobby's Add Bot list
+ *   order       optional place in that list (lowest first)
+ *   takeTurn(view, helpers)     the whole turn, decided at its start:
+ *                 { fight: true } to call a fight before drawing, or a
+ *                 submit-turn plan (see GameSession.submitTurn):
+ *                 { draw, plays, discardCardId, tongit }
+ *   answerFight(view, helpers)  'challenge' or 'fold' for a pending fight call
+ * `view` is the seat's view of the game (what its player's client is sent),
+ * a copy the strategy may change freely, and `helpers` lists legal moves and tries them on a scratch copy of the
+ * session (see helpers). A strategy that throws or decides something
+ * illegal is logged and its seat plays a safe turn instead.
+ */
+const fs = require('fs');
+const path = require('path');
+const { Card, GameUtils } = require('./gameEngine');
+const BotAI = require('./botAI');
+
+const DEFAULT_STRATEGY = 'medium'; // For players whose difficulty names no strategy (away humans)
+const strategies = new Map(); // id -> strategy module
+
+// A deep copy of a seat's view with its own Cards: the serialized view
+// shares hands, melds and piles with the session
+function detachedView(view) {
+    return JSON.parse(JSON.stringify(view), (key, value) =>
+        value && typeof value === 'object' && 'suit' in value && 'rank' in value && 'id' in value
+            ? new Card(value.suit, value.rank, value.id)
+            : value);
+}
+
+const BotStrategies = {
+    /**
+     * Registers every strategy module in `dir`, skipping (and logging) any
+     * that don't meet the contract
+     * @returns {{ id, label }[]} the strategies now available
+     */
+    load(dir = path.join(__dirname, 'bots')) {
+        strategies.clear();
+        fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort().forEach(file => {
+            let strategy;
+            try {
+                strategy = require(path.join(dir, file));
+            } catch (err) {
+                return console.warn(`Skipping bot strategy ${file}: ${err.message}`);
+            }
+            const problem = this.register(strategy);
+            if (problem) console.warn(`Skipping bot strategy ${file}: ${problem}`);
+        });
+        return this.list();
+    },
+
+    /**
+     * Adds a strategy unless it breaks the contract
+     * @returns {string|null} why it was refused, or null once added
+     */
+    register(strategy) {
+        const problem = this.contractProblem(strategy);
+        if (!problem) strategies.set(strategy.id, strategy);
+        return problem;
+    },
+
+    /**
+     * Why a module isn't a usable strategy, or null if it is
+     */
+    contractProblem(strategy) {
+        if (!strategy || typeof strategy.id !== 'string' || !strategy.id) return 'no id';
+        if (strategies.has(strategy.id)) return `id "${strategy.id}" is already taken`;
+        if (typeof strategy.label !== 'string') return 'no label';
+        if (typeof strategy.takeTurn !== 'function') return 'no takeTurn(view, helpers)';
+        if (typeof strategy.answerFight !== 'function') return 'no answerFight(view, helpers)';
+        return null;
+    },
+
+    /**
+     * The lobby's Add Bot choices, in list order
+     */
+    list() {
+        return [...strategies.values()]
+            .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+            .map(({ id, label }) => ({ id, label }));
+    },
+
+    get(id) {
+        return strategies.get(id) || null;
+    },
+
+    forPlayer(player) {
+        return this.get(player.difficulty) || this.get(DEFAULT_STRATEGY) || strategies.values().next().value;
+    },
+
+    /**
+     * Plays the current player's turn with its strategy. `liveView(session)`
+     * serializes a session for the player's seat (the strategy only sees
+     * copies); `memory` is the seat's CardTracker.
+     * @returns {'fight'|'turn'|false} what was played, false if not even the safe turn was legal
+     */
+    playTurn(game, player, memory, liveView) {
+        const strategy = this.forPlayer(player);
+        const seatView = session => detachedView(liveView(session));
+        const helpers = this.helpers(game, player.id, memory, seatView);
+
+        let turn = null;
+        try {
+            turn = strategy.takeTurn(seatView(game), helpers);
+        } catch (err) {
+            this.logFailure(strategy, player, `threw "${err.message || err}"`);
+        }
+
+        if (turn && turn.fight) {
+            if (game.callFight(player.id)) return 'fight';
+            this.logFailure(strategy, player, 'called a fight it may not call');
+        } else if (turn) {
+            if (helpers.drewFor(turn) && game.submitTurn(player.id, turn)) return 'turn';
+            this.logFailure(strategy, player, `decided an illegal turn ${JSON.stringify(turn)}`);
+        }
+        return game.submitTurn(player.id, this.safeTurn(game, player.id)) ? 'turn' : false;
+    },
+
+    /**
+     * Answers a pending fight call with the player's strategy; folds if it fails
+     */
+    answerFight(game, player, memory, liveView) {
+        const strategy = this.forPlayer(player);
+        const seatView = session => detachedView(liveView(session));
+        let response = null;
+        try {
+            response = strategy.answerFight(seatView(game), this.helpers(game, player.id, memory, seatView));
+        } catch (err) {
+            this.logFailure(strategy, player, `threw "${err.message || err}"`);
+        }
+        if (response !== 'challenge' && response !== 'fold') {
+            if (response !== null) this.logFailure(strategy, player, `answered a fight with ${JSON.stringify(response)}`);
+            response = 'fold';
+        }
+        return game.respondToFight(player.id, response);
+    },
+
+    /**
+     * Draw from stock (if the turn starts there) and discard the least useful card
+     */
+    safeTurn(game, playerId) {
+        const trial = game.cloneForTrial();
+        const turn = { plays: [] };
+        if (trial.phase === 'draw') {
+            turn.draw = { source: 'stock' };
+            trial.applyTurnDraw(playerId, turn.draw);
+        }
+        const hand = trial.getCurrentPlayer().hand;
+        turn.discardCardId = hand[BotAI.findBestDiscard(hand)].id;
+        return turn;
+    },
+
+    /**
+     * What a strategy gets besides its view:
+     *   seatId, random (the round's seeded stream), memory (the seat's CardTracker)
+     *   canFight()       whether a fight may be called now
+     *   legalDraws()     every draw: { source: 'stock' } and each { source: 'discard', cardIds }
+     *   legalPlays()     every expose, secret set and sapaw the seat could make now
+     *   legalDiscards()  ids of the cards in hand
+     *   draw(draw), play(play)  try a draw or a play on a scratch copy of the
+     *                    session: the seat's new view, or null if illegal.
+     *                    A strategy that looked at a stock card must draw it.
+     * The legal-move lists follow the scratch copy as draws and plays are tried.
+     */
+    helpers(game, seatId, memory, seatView) {
+        const scratch = game.cloneForTrial();
+        const me = () => scratch.players.find(p => p.id === seatId);
+        const isLegal = apply => apply(scratch.cloneForTrial()); // Tried on a copy, so listing moves changes nothing
+        let drawn = null;
+
+        return {
+            seatId,
+            random: game.random,
+            memory,
+            canFight: () => scratch.phase === 'draw' && scratch.getCurrentPlayer() === me() && !scratch.getFightBlockReason(me()),
+            legalDraws() {
+                if (scratch.phase !== 'draw') return [];
+                const top = scratch.discardPile[scratch.discardPile.length - 1];
+                const fromDiscard = top
+                    ? GameUtils.findAllMelds([...me().hand, top])
+                        .filter(meld => meld.includes(top))
+                        .map(meld => ({ source: 'discard', cardIds: meld.filter(c => c !== top).map(c => c.id) }))
+                    : [];
+                return [{ source: 'stock' }, ...fromDiscard].filter(draw => isLegal(trial => trial.applyTurnDraw(seatId, draw)));
+            },
+            legalPlays() {
+                if (scratch.phase !== 'action' || scratch.status !== 'playing') return [];
+                const hand = me().hand;
+                const melds = GameUtils.findAllMelds(hand);
+                const plays = [
+                    ...melds.map(meld => ({ type: 'expose', cardIds: meld.map(c => c.id) })),
+                    ...melds.filter(meld => meld.length === 4 && GameUtils.isSet(meld))
+                        .map(meld => ({ type: 'secret-set', cardIds: meld.map(c => c.id) }))
+                ];
+                scratch.players.forEach(owner => owner.exposedMelds.forEach((meld, meldIndex) => {
+                    if (meld.isSecret) return;
+                    hand.filter(card => GameUtils.canLayOff(card, meld.cards))
+                        .forEach(card => plays.push({ type: 'sapaw', targetPlayerId: owner.id, meldIndex, cardId: card.id }));
+                }));
+                return plays.filter(play => isLegal(trial => trial.applyTurnPlay(seatId, play)));
+            },
+            legalDiscards: () => (scratch.phase === 'action' ? me().hand.map(c => c.id) : []),
+            draw(draw) {
+                if (drawn || !scratch.applyTurnDraw(seatId, draw)) return null;
+                drawn = draw;
+                return seatView(scratch);
+            },
+            play(play) {
+                return scratch.applyTurnPlay(seatId, play) ? seatView(scratch) : null;
+            },
+            // The turn keeps the draw tried on the scratch copy, if there was one
+            drewFor(turn) {
+                const ids = draw => (draw.cardIds || []).join();
+                return !drawn || Boolean(turn.draw && turn.draw.source === drawn.source && ids(turn.draw) === ids(drawn));
+            }
+        };
+    },
+
+    logFailure(strategy, player, problem) {
+        console.warn(`Bot strategy "${strategy.id}" for ${player.name} ${problem}; playing a safe move instead.`);
+    }
+};
+
+module.exports = BotStrategies;
@@ -0,0 +1,6 @@
+/**
+ * Easy bot (see BotAI.easyLogic)
+ */
+const BotAI = require('../botAI');
+
+module.exports = BotAI.strategy('easy', 'Easy Bot', 1);
@@ -0,0 +1,6 @@
+/**
+ * Expert bot (see BotAI.expertLogic)
+ */
+const BotAI = require('../botAI');
+
+module.exports = BotAI.strategy('expert', 'Expert Bot', 4);
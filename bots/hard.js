@@ -0,0 +1,6 @@
+/**
+ * Hard bot (see BotAI.hardLogic)
+ */
+const BotAI = require('../botAI');
+
+module.exports = BotAI.strategy('hard', 'Hard Bot', 3);
@@ -0,0 +1,6 @@
+/**
+ * Medium bot (see BotAI.mediumLogic)
+ */
+const BotAI = require('../botAI');
+
+module.exports = BotAI.strategy('medium', 'Medium Bot', 2);
@@ -0,0 +1,148 @@
+/**
+ * Tongits Card Tracker
+ * A bot's memory of the round, built only from what its seat sees: who
+ * discarded what, exposed melds, sapaws and cards picked from the discard
+ * pile. Bots use it to estimate opponents' deadwood and how dangerous a
+ * discard is, without looking at hidden hands. Its OpponentModel keeps
+ * what the seat learns about each opponent for the rest of the match.
+ */
+const { Deck, GameUtils } = require('./gameEngine');
+const OpponentModel = require('./opponentModel');
+
+const CARDS_BY_ID = new Deck().cards; // An unshuffled deck is in id order
+const HIDDEN_DEADWOOD_SHARE = 0.6; // Part of an unseen hand that is typically unmelded
+const ROUND_START_EVENTS = ['start-match', 'start-round', 'next-round'];
+
+class CardTracker {
+    constructor(playerId) {
+        this.playerId = playerId;
+        this.nextSeq = 0; // First event not observed yet
+        this.opponents = new OpponentModel(playerId);
+        this.resetRound();
+    }
+
+    resetRound() {
+        this.seen = new Set(); // Ids of every card that has been face-up this round
+        this.discards = []; // { playerId, card } in the order they were thrown
+        this.pickups = []; // { playerId, card } taken from the discard pile
+        this.exposed = []; // { playerId, cards } face-up melds, pickups included
+        this.layoffs = []; // { playerId, targetPlayerId, card }
+        this.known = {}; // playerId -> cards seen going back into their hand (taken back plays)
+        this.turnPlays = []; // The current turn's exposes, secret sets and sapaws, in case they are taken back
+    }
+
+    /**
+     * Catch up on the seat's view of the event log (GameSession.eventsVisibleTo)
+     */
+    observe(events) {
+        events.forEach(event => {
+            this.nextSeq = event.seq + 1;
+            this.apply(event);
+            this.opponents.apply(event);
+        });
+    }
+
+    apply(event) {
+        const player = event.actorId;
+        const cards = (event.cardIds || []).map(id => CARDS_BY_ID[id]);
+
+        if (ROUND_START_EVENTS.includes(event.type)) {
+            this.resetRound();
+        } else if (event.type === 'draw-discard') {
+            const card = CARDS_BY_ID[event.drawnCardId];
+            this.pickups.push({ playerId: player, card });
+            this.addExposed(player, [...cards, card]);
+        } else if (event.type === 'discard' || (event.type === 'call-tongit' && cards.length > 0)) {
+            this.discards.push({ playerId: player, card: cards[0] });
+            this.markSeen(player, cards);
+            this.turnPlays = [];
+        } else if (event.type === 'expose-meld') {
+            this.addExposed(player, cards);
+        } else if (event.type === 'expose-secret-set') {
+            // Only its own seat sees the cards; the others see that a play was made
+            this.markSeen(player, cards);
+            this.turnPlays.push({ type: 'secret-set', cards });
+        } else if (event.type === 'sapaw') {
+            this.layoffs.push({ playerId: player, targetPlayerId: event.targetPlayerId, card: cards[0] });
+            this.markSeen(player, cards);
+            this.turnPlays.push({ type: 'sapaw', cards });
+        } else if (event.type === 'undo') {
+            this.takeBack(player);
+        }
+    }
+
+    /**
+     * Everything face-up on the table right now is seen, even if this
+     * tracker started watching mid-round
+     */
+    seeTable(gameState) {
+        gameState.discardPile.forEach(c => this.seen.add(c.id));
+        gameState.players.forEach(p => p.exposedMelds.forEach(m => m.cards.forEach(c => this.seen.add(c.id))));
+    }
+
+    addExposed(playerId, cards) {
+        this.exposed.push({ playerId, cards });
+        this.markSeen(playerId, cards);
+        this.turnPlays.push({ type: 'expose', cards });
+    }
+
+    markSeen(playerId, cards) {
+        cards.forEach(c => this.seen.add(c.id));
+        if (this.known[playerId]) this.known[playerId] = this.known[playerId].filter(c => !cards.includes(c));
+    }
+
+    /**
+     * A taken-back play puts face-up cards back in a hand: now we know they are there
+     */
+    takeBack(playerId) {
+        const play = this.turnPlays.pop();
+        if (!play) return;
+        if (play.type === 'expose') this.exposed.pop();
+        else if (play.type === 'sapaw') this.layoffs.pop();
+        if (playerId !== this.playerId) this.known[playerId] = [...(this.known[playerId] || []), ...play.cards];
+    }
+
+    /**
+     * Cards the seat has never seen: in the stock, an opponent's hand or a secret set
+     */
+    unseenCards(hand) {
+        const mine = new Set(hand.map(c => c.id));
+        const held = new Set(Object.values(this.known).flat().map(c => c.id));
+        return CARDS_BY_ID.filter(c => !mine.has(c.id) && !this.seen.has(c.id) && !held.has(c.id));
+    }
+
+    /**
+     * Expected deadwood of an opponent's hidden hand: the cards known to be
+     * there, plus the rest valued at the average unseen card
+     */
+    estimateDeadwood(opponent, hand) {
+        const known = this.known[opponent.id] || [];
+        const unseen = this.unseenCards(hand);
+        const average = unseen.length > 0 ? unseen.reduce((sum, c) => sum + c.value, 0) / unseen.length : 0;
+        const unknownCount = Math.max(0, opponent.handCount - known.length);
+        return GameUtils.calculateHandValue(known) + Math.round(unknownCount * average * HIDDEN_DEADWOOD_SHARE);
+    }
+
+    /**
+     * How many melds an opponent could still make with `card` from unseen
+     * cards, halved for one who has thrown away the same rank or a suited
+     * neighbour (they aren't collecting it). A dead card scores 0.
+     */
+    discardDanger(card, hand, opponentId) {
+        const unseen = this.unseenCards(hand);
+        const isUnseen = (rankIndex, suit) =>
+            unseen.some(c => c.suit === suit && c.getRankIndex() === rankIndex);
+        const rank = card.getRankIndex();
+
+        let melds = unseen.filter(c => c.rank === card.rank).length >= 2 ? 1 : 0;
+        [[-2, -1], [-1, 1], [1, 2]].forEach(([a, b]) => {
+            if (isUnseen(rank + a, card.suit) && isUnseen(rank + b, card.suit)) melds++;
+        });
+
+        const related = this.discards.some(d => d.playerId === opponentId &&
+            (d.card.rank === card.rank || (d.card.suit === card.suit && Math.abs(d.card.getRankIndex() - rank) === 1)));
+        return related ? melds / 2 : melds;
+    }
+}
+
+module.exports = CardTracker;
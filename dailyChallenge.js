@@ -0,0 +1,104 @@
+/**
+ * Tongits Daily Challenge
+ * One deal per calendar day (UTC): everyone who plays a date gets the same
+ * seed, the same seat and the same bots, and their results are ranked on
+ * that day's leaderboard.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { GameSession } = require('./gameState');
+
+// Seated after the player in this order, so every daily table is identical
+const DAILY_BOTS = [
+    { id: 'daily-bot-1', name: 'Daily Medium', difficulty: 'medium' },
+    { id: 'daily-bot-2', name: 'Daily Hard', difficulty: 'hard' }
+];
+const DAILY_PRESET = 'classic';
+const DAILY_RULES = { allowHints: false }; // Everyone plays the deal unaided
+const SECRET_FILE = path.join(__dirname, '.daily-secret'); // Written on first use, never committed
+let secret = null;
+
+const DailyChallenge = {
+    DAILY_BOTS,
+
+    /**
+     * The day a date falls on, as YYYY-MM-DD in UTC
+     */
+    dateKey(date = new Date()) {
+        return date.toISOString().slice(0, 10);
+    },
+
+    isValidDateKey(key) {
+        if (typeof key !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return false;
+        const date = new Date(`${key}T00:00:00Z`);
+        return !isNaN(date) && this.dateKey(date) === key;
+    },
+
+    /**
+     * The day's seed: an HMAC of the date under the server's secret, so the
+     * deal survives restarts but can't be worked out before it is played
+     */
+    seedFor(dateKey) {
+        return crypto.createHmac('sha256', this.secret()).update(`tongits-daily:${dateKey}`).digest('hex').slice(0, 32);
+    },
+
+    /**
+     * TONGITS_DAILY_SECRET if set, otherwise a random secret kept in .daily-secret
+     */
+    secret() {
+        if (secret) return secret;
+        secret = process.env.TONGITS_DAILY_SECRET || null;
+        if (!secret && fs.existsSync(SECRET_FILE)) secret = fs.readFileSync(SECRET_FILE, 'utf8').trim() || null;
+        if (!secret) {
+            secret = crypto.randomBytes(32).toString('hex');
+            fs.writeFileSync(SECRET_FILE, secret, { mode: 0o600 });
+        }
+        return secret;
+    },
+
+    /**
+     * Seats the player against the day's bots and deals the day's hand as a
+     * one-round match. Bot moves come from the round's seeded random stream.
+     * @returns {GameSession|null}
+     */
+    createSession(playerId, name, dateKey) {
+        if (!this.isValidDateKey(dateKey)) return null;
+
+        const game = new GameSession();
+        game.addPlayer(playerId, name, 'human');
+        DAILY_BOTS.forEach(bot => game.addPlayer(bot.id, bot.name, 'bot', bot.difficulty));
+        game.setRules(playerId, DAILY_PRESET, DAILY_RULES);
+        game.setMatchConfig(playerId, { endCondition: 'rounds', target: 1 });
+        return game.startMatch(this.seedFor(dateKey)) ? game : null;
+    },
+
+    /**
+     * The player's leaderboard entry from their finished daily hand
+     */
+    resultFor(game, playerId) {
+        const result = game.roundResults.players.find(p => p.id === playerId);
+        const start = game.roundStart.players.find(p => p.id === playerId);
+        return {
+            name: result.name,
+            type: game.roundResults.type,
+            isWinner: result.isWinner,
+            chips: result.chips - start.chips,
+            deadwood: result.weight,
+            finishedAt: Date.now()
+        };
+    },
+
+    /**
+     * Best first: winners, then chips won, then least deadwood, then who finished first
+     */
+    rank(entries) {
+        return [...entries].sort((a, b) =>
+            (b.isWinner - a.isWinner) ||
+            (b.chips - a.chips) ||
+            (a.deadwood - b.deadwood) ||
+            (a.finishedAt - b.finishedAt));
+    }
+};
+
+module.exports = DailyChallenge;
@@ -2,6 +2,7 @@
  * Tongits Game Engine
  * Handles core game logic: deck, shuffling, dealing, meld validation, and scoring.
  */
+const crypto = require('crypto');
 
 const SUITS = ['♠', '♥', '♦', '♣']; // Spade, Heart, Diamond, Club
 const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
@@ -9,8 +10,41 @@ const RANK_VALUES = {
     'A': 1, '2': 2, '3': 3, '4': 4, '5': 5, '6': 6, '7': 7, '8': 8, '9': 9, '10': 10, 'J': 10, 'Q': 10, 'K': 10
 };
 
+/**
+ * Seeded PRNG (SHA-256 of the seed and a block counter): returns a function
+ * yielding floats in [0, 1), like Math.random, so a whole hand can be
+ * replayed from its seed. The cards a player sees don't lead back to the seed.
+ */
+function createSeededRandom(seed) {
+    let block = null;
+    let blockIndex = 0;
+    let offset = 32;
+    return function () {
+        if (offset === 32) {
+            block = crypto.createHash('sha256').update(`${seed}:${blockIndex++}`).digest();
+            offset = 0;
+        }
+        const value = block.readUInt32BE(offset);
+        offset += 4;
+        return value / 4294967296;
+    };
+}
+
+/**
+ * Seeds are strings of 1 to 32 hex digits; dealt rounds get all 32 (128 bits),
+ * too many to search through
+ */
+function isValidSeed(seed) {
+    return typeof seed === 'string' && /^[0-9a-f]{1,32}$/.test(seed);
+}
+
+function generateSeed() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
 class Card {
-    constructor(suit, rank) {
+    constructor(suit, rank, id = null) {
+        this.id = id; // Stable identity used by the socket protocol
         this.suit = suit;
         this.rank = rank;
         this.value = RANK_VALUES[rank];
@@ -31,14 +65,17 @@ class Deck {
         this.cards = [];
         for (const suit of SUITS) {
             for (const rank of RANKS) {
-                this.cards.push(new Card(suit, rank));
+                this.cards.push(new Card(suit, rank, this.cards.length));
             }
         }
     }
 
-    shuffle() {
+    /**
+     * Fisher-Yates shuffle; pass a seeded random (see createSeededRandom) to reproduce it
+     */
+    shuffle(random = Math.random) {
         for (let i = this.cards.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
+            const j = Math.floor(random() * (i + 1));
             [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
         }
     }
@@ -81,45 +118,37 @@ const GameUtils = {
     },
 
     /**
-     * Finds all possible melds in a hand.
-     * This is a simple greedy implementation; more complex versions would use recursion.
+     * Lists every candidate meld in a hand: each 3- or 4-card set and each
+     * consecutive same-suit run of 3+. Candidates overlap; a card may appear in several.
      */
-    findPossibleMelds(cards) {
+    findAllMelds(cards) {
         const melds = [];
-        const used = new Set();
-        const sorted = [...cards].sort((a, b) => {
-            if (a.suit !== b.suit) return a.suit.localeCompare(b.suit);
-            return a.getRankIndex() - b.getRankIndex();
-        });
-
-        // Find Runs
-        for (let i = 0; i < sorted.length; i++) {
-            if (used.has(i)) continue;
-            let run = [sorted[i]];
-            for (let j = i + 1; j < sorted.length; j++) {
-                if (used.has(j)) continue;
-                const last = run[run.length - 1];
-                if (sorted[j].suit === last.suit && sorted[j].getRankIndex() === last.getRankIndex() + 1) {
-                    run.push(sorted[j]);
-                }
-            }
-            if (run.length >= 3) {
-                melds.push(run);
-                run.forEach(c => used.add(sorted.indexOf(c)));
-            }
-        }
-
-        // Find Sets (on remaining cards)
-        const remaining = sorted.filter((_, i) => !used.has(i));
         const byRank = {};
-        remaining.forEach(c => {
+        const bySuit = {};
+        cards.forEach(c => {
             if (!byRank[c.rank]) byRank[c.rank] = [];
             byRank[c.rank].push(c);
+            if (!bySuit[c.suit]) bySuit[c.suit] = [];
+            bySuit[c.suit].push(c);
         });
 
+        // Sets: the whole group, plus every 3-card subset of a 4-card group
         for (const rank in byRank) {
-            if (byRank[rank].length >= 3) {
-                melds.push(byRank[rank]);
+            const group = byRank[rank];
+            if (group.length >= 3) melds.push([...group]);
+            if (group.length === 4) {
+                group.forEach(left => melds.push(group.filter(c => c !== left)));
+            }
+        }
+
+        // Runs: every consecutive stretch of 3+ in each suit
+        for (const suit in bySuit) {
+            const sorted = [...bySuit[suit]].sort((a, b) => RANKS.indexOf(a.rank) - RANKS.indexOf(b.rank));
+            for (let i = 0; i < sorted.length; i++) {
+                for (let j = i + 1; j < sorted.length; j++) {
+                    if (RANKS.indexOf(sorted[j].rank) !== RANKS.indexOf(sorted[j - 1].rank) + 1) break;
+                    if (j - i >= 2) melds.push(sorted.slice(i, j + 1));
+                }
             }
         }
 
@@ -127,19 +156,85 @@ const GameUtils = {
     },
 
     /**
-     * Calculates total value of unmelded cards
+     * Finds the partition of a hand into disjoint melds that leaves the fewest
+     * unmelded points. Exhaustive search over candidate melds, memoised by the
+     * set of cards still unplaced.
+     * @returns {{ value: number, melds: Card[][], deadwood: Card[] }}
+     */
+    findBestMeldPartition(cards) {
+        const meldsByCard = cards.map(() => []);
+        this.findAllMelds(cards).forEach(meld => {
+            const mask = meld.reduce((m, c) => m | (1 << cards.indexOf(c)), 0);
+            meld.forEach(c => meldsByCard[cards.indexOf(c)].push(mask));
+        });
+
+        const memo = new Map();
+        const solve = (remaining) => {
+            if (remaining === 0) return { value: 0, masks: [] };
+            if (memo.has(remaining)) return memo.get(remaining);
+
+            // The lowest unplaced card is either deadwood or in one of its candidate melds
+            let idx = 0;
+            while (!(remaining & (1 << idx))) idx++;
+
+            const skipped = solve(remaining & ~(1 << idx));
+            let best = { value: skipped.value + RANK_VALUES[cards[idx].rank], masks: skipped.masks };
+            for (const mask of meldsByCard[idx]) {
+                if ((mask & remaining) !== mask) continue;
+                const sub = solve(remaining & ~mask);
+                if (sub.value < best.value) {
+                    best = { value: sub.value, masks: [mask, ...sub.masks] };
+                }
+            }
+
+            memo.set(remaining, best);
+            return best;
+        };
+
+        const best = solve((1 << cards.length) - 1);
+        const melded = best.masks.reduce((all, m) => all | m, 0);
+        return {
+            value: best.value,
+            melds: best.masks.map(mask => cards.filter((_, i) => mask & (1 << i))),
+            deadwood: cards.filter((_, i) => !(melded & (1 << i)))
+        };
+    },
+
+    /**
+     * Splits a whole hand into concealed melds, taking four-of-a-kinds whole
+     * where possible so they can score as secret sets.
+     * @returns {Card[][]|null} the melds, or null if any card is left unmelded
+     */
+    findConcealedMelds(cards) {
+        const fours = [];
+        let rest = cards;
+        RANKS.forEach(rank => {
+            const set = rest.filter(c => c.rank === rank);
+            if (set.length !== 4) return;
+            const others = rest.filter(c => c.rank !== rank);
+            if (this.findBestMeldPartition(others).deadwood.length === 0) {
+                fours.push(set);
+                rest = others;
+            }
+        });
+
+        const partition = this.findBestMeldPartition(rest);
+        if (partition.deadwood.length > 0) return null;
+        return [...fours, ...partition.melds];
+    },
+
+    /**
+     * Finds the melds of the best partition of a hand (see findBestMeldPartition).
+     */
+    findPossibleMelds(cards) {
+        return this.findBestMeldPartition(cards).melds;
+    },
+
+    /**
+     * Calculates total value of unmelded cards under the best meld partition
      */
     calculateHandValue(cards, exposedMelds = []) {
-        // Find best melds in hand to minimize value
-        // Note: Simple greedy approach for now
-        const possibleMelds = this.findPossibleMelds(cards);
-        const meldedCards = new Set();
-        possibleMelds.forEach(meld => meld.forEach(c => meldedCards.add(c)));
-
-        return cards.reduce((sum, card) => {
-            if (meldedCards.has(card)) return sum;
-            return sum + card.value;
-        }, 0);
+        return this.findBestMeldPartition(cards).value;
     },
 
     /**
@@ -163,7 +258,11 @@ const GameUtils = {
 module.exports = {
     Card,
     Deck,
+    createSeededRandom,
+    isValidSeed,
+    generateSeed,
     GameUtils,
     SUITS,
-    RANKS
+    RANKS,
+    RANK_VALUES
 };
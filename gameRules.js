@@ -0,0 +1,121 @@
+/**
+ * Tongits House Rules
+ * Named presets and validation for the rules a room plays by.
+ */
+
+// Numeric rules and the range each may take
+const RULE_LIMITS = {
+    ante: { min: 0, max: 50 },
+    startingChips: { min: 10, max: 10000 },
+    basePayment: { min: 1, max: 50 },
+    tongitMultiplier: { min: 1, max: 10 },
+    fightMultiplier: { min: 1, max: 10 },
+    burnedPenalty: { min: 0, max: 50 },
+    secretSetBonus: { min: 0, max: 50 },
+    handSize: { min: 7, max: 13 }, // Dealer gets one more; 3 hands must leave a stock
+    turnSeconds: { min: 0, max: 300 }, // 0 turns the turn clock off
+    botSearchIterations: { min: 10, max: 100 } // Playouts an expert bot runs per decision; every room waits on them
+};
+
+const BOOLEAN_RULES = ['allowSecretSets', 'aceBonus', 'allowUndo', 'allowHints'];
+
+const RULE_PRESETS = {
+    classic: {
+        ante: 2,
+        startingChips: 100,
+        basePayment: 1,
+        tongitMultiplier: 3,
+        fightMultiplier: 3,
+        aceBonus: true,
+        allowSecretSets: true,
+        secretSetBonus: 3,
+        burnedPenalty: 1,
+        handSize: 12,
+        allowUndo: true,
+        allowHints: true,
+        turnSeconds: 60,
+        botSearchIterations: 60
+    },
+    casual: {
+        ante: 1,
+        startingChips: 50,
+        basePayment: 1,
+        tongitMultiplier: 2,
+        fightMultiplier: 2,
+        aceBonus: false,
+        allowSecretSets: false,
+        secretSetBonus: 0,
+        burnedPenalty: 1,
+        handSize: 12,
+        allowUndo: true,
+        allowHints: true,
+        turnSeconds: 90,
+        botSearchIterations: 60
+    },
+    'high-stakes': {
+        ante: 5,
+        startingChips: 200,
+        basePayment: 2,
+        tongitMultiplier: 3,
+        fightMultiplier: 3,
+        aceBonus: true,
+        allowSecretSets: true,
+        secretSetBonus: 5,
+        burnedPenalty: 3,
+        handSize: 12,
+        allowUndo: true,
+        allowHints: true,
+        turnSeconds: 45,
+        botSearchIterations: 60
+    },
+    quick: {
+        ante: 2,
+        startingChips: 100,
+        basePayment: 1,
+        tongitMultiplier: 3,
+        fightMultiplier: 3,
+        aceBonus: true,
+        allowSecretSets: true,
+        secretSetBonus: 3,
+        burnedPenalty: 1,
+        handSize: 9,
+        allowUndo: true,
+        allowHints: true,
+        turnSeconds: 30,
+        botSearchIterations: 40
+    }
+};
+
+const GameRules = {
+    PRESETS: RULE_PRESETS,
+
+    /**
+     * Builds a complete rules object from a preset name plus optional
+     * overrides. Unknown keys are dropped and numbers clamped to their limits.
+     * @returns {object} rules, with `preset` set to 'custom' if any override changed
+     *   it and `basePreset` naming the preset it started from
+     */
+    resolve(presetName = 'classic', overrides = {}) {
+        const preset = RULE_PRESETS[presetName] ? presetName : 'classic';
+        const rules = { ...RULE_PRESETS[preset] };
+
+        for (const key in overrides) {
+            if (BOOLEAN_RULES.includes(key)) {
+                rules[key] = Boolean(overrides[key]);
+            } else if (RULE_LIMITS[key]) {
+                const value = parseInt(overrides[key], 10);
+                if (isNaN(value)) continue;
+                rules[key] = Math.min(RULE_LIMITS[key].max, Math.max(RULE_LIMITS[key].min, value));
+            }
+        }
+
+        const changed = Object.keys(rules).some(key => rules[key] !== RULE_PRESETS[preset][key]);
+        return { preset: changed ? 'custom' : preset, basePreset: preset, ...rules };
+    },
+
+    defaults() {
+        return this.resolve('classic');
+    }
+};
+
+module.exports = GameRules;
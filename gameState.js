@@ -2,22 +2,51 @@
  * Tongits Game State Manager
  * Handles players, turns, and round progression.
  */
-const { Deck, GameUtils } = require('./gameEngine');
+const { Deck, GameUtils, createSeededRandom, isValidSeed, generateSeed } = require('./gameEngine');
+const Scorer = require('./scorer');
+const GameRules = require('./gameRules');
+
+const MATCH_END_CONDITIONS = ['rounds', 'chip-target', 'bust'];
+const AWAY_AFTER_MISSED_TURNS = 2; // Consecutive turn clock timeouts before a bot takes the seat
+const SIDE_POT_STREAK = 2; // Wins in a row that take the side pot, whatever the number of seats
+
+// Re-applies a recorded event through the public API (see GameSession.applyEvent)
+const EVENT_HANDLERS = {
+    'add-player': (game, e) => game.addPlayer(e.actorId, e.name, e.playerType, e.difficulty),
+    'remove-player': (game, e) => game.removePlayer(e.actorId),
+    'set-match-config': (game, e) => game.setMatchConfig(e.actorId, e.config),
+    'set-rules': (game, e) => game.setRules(e.actorId, e.preset, e.overrides),
+    'start-match': (game, e) => game.startMatch(e.seed),
+    'start-round': (game, e) => game.startRound(e.seed),
+    'next-round': (game, e) => game.nextRound(e.actorId, e.seed),
+    'draw-stock': (game, e) => game.drawFromStock(e.actorId),
+    'draw-discard': (game, e) => game.drawFromDiscard(e.actorId, e.cardIds),
+    'discard': (game, e) => game.discard(e.actorId, e.cardIds[0]),
+    'expose-meld': (game, e) => game.exposeMeld(e.actorId, e.cardIds),
+    'expose-secret-set': (game, e) => game.exposeSecretSet(e.actorId, e.cardIds),
+    'sapaw': (game, e) => game.sapaw(e.actorId, e.targetPlayerId, e.meldIndex, e.cardIds[0]),
+    'undo': (game, e) => game.undo(e.actorId),
+    'call-tongit': (game, e) => game.callTongit(e.actorId, e.cardIds.length > 0 ? e.cardIds[0] : null),
+    'call-fight': (game, e) => game.callFight(e.actorId),
+    'fight-response': (game, e) => game.respondToFight(e.actorId, e.response),
+    'set-away': (game, e) => game.setAway(e.actorId, e.away)
+};
 
 class Player {
-    constructor(id, name, type = 'human', difficulty = 'medium') {
+    constructor(id, name, type = 'human', difficulty = 'medium', chips = 100) {
         this.id = id;
         this.name = name;
         this.type = type; // 'human' or 'bot'
         this.difficulty = difficulty;
         this.hand = [];
         this.exposedMelds = [];
-        this.chips = 100;
+        this.chips = chips;
         this.hasOpened = false;
         this.openedThisTurn = false;
         this.isBurned = false;
         this.lastAction = '';
         this.consecutiveWins = 0;
+        this.isAway = false; // A bot plays for an away human until they return
     }
 }
 
@@ -31,18 +60,126 @@ class GameSession {
         this.status = 'lobby'; // lobby, playing, ended
         this.sidePot = 0;
         this.winnerOfPreviousHand = null;
+        this.streak = null; // { playerId, wins } - consecutive wins toward the side pot
+        this.fight = null;
         this.logs = [];
+        this.hostId = null; // First human to join; controls match settings and next round
+        this.matchConfig = { endCondition: 'bust', target: null };
+        this.match = null;
+        this.rules = GameRules.defaults();
+        this.seed = null; // Seed of the current round's shuffle, dealer pick and bot choices
+        this.random = Math.random;
+        this.events = []; // Every accepted action, in order (see recordEvent)
+        this.roundStart = null; // Table before the current round's deal (see dealRound)
+        this.turnClock = null; // { key, playerIds, deadline, seconds } while humans must act (see updateTurnClock)
+        this.missedTurns = {}; // playerId -> consecutive turn clock timeouts
     }
 
     addPlayer(id, name, type, difficulty) {
         if (this.players.length < 3) {
-            const player = new Player(id, name, type, difficulty);
+            const player = new Player(id, name, type, difficulty, this.rules.startingChips);
             this.players.push(player);
+            if (type === 'human' && !this.hostId) this.hostId = id;
+            this.recordEvent('add-player', id, { name, playerType: type, difficulty });
             return player;
         }
         return null;
     }
 
+    removePlayer(id) {
+        const index = this.players.findIndex(p => p.id === id);
+        if (index === -1) return null;
+        const player = this.players[index];
+        this.players.splice(index, 1);
+        if (this.status === 'playing') this.closeSeat(index, id);
+        if (this.phase === 'fight-response' && this.status === 'playing') this.dropFromFight(id);
+
+        // Hand the host role to the next human
+        if (this.hostId === id) {
+            const nextHost = this.players.find(p => p.type === 'human');
+            this.hostId = nextHost ? nextHost.id : null;
+        }
+        this.recordEvent('remove-player', id);
+        return player;
+    }
+
+    /**
+     * Keeps the turn and the dealer on the same players once the seat at
+     * `index` has emptied mid-round. A leaver's turn passes to the next seat,
+     * and the round ends if they had drawn the last card.
+     */
+    closeSeat(index, playerId) {
+        if (this.players.length === 0) return;
+        if (index < this.dealerIndex) this.dealerIndex--;
+        this.dealerIndex %= this.players.length;
+        if (index < this.turnIndex) {
+            this.turnIndex--;
+        } else if (index === this.turnIndex) {
+            this.turnIndex %= this.players.length;
+            this.turnNumber++;
+            this.undoStack = [];
+            if (this.phase === 'action') this.phase = 'draw';
+        }
+        if (this.lastCardDrawerId === playerId) this.endRound(null, 'deck-empty');
+    }
+
+    /**
+     * Sets how a match ends: after N rounds ('rounds'), when someone reaches
+     * a chip total ('chip-target'), or only when a player goes bust ('bust').
+     * A bust always ends the match.
+     */
+    setMatchConfig(playerId, config) {
+        if (playerId !== this.hostId || this.status === 'playing') return false;
+        const endCondition = config.endCondition;
+        if (!MATCH_END_CONDITIONS.includes(endCondition)) return false;
+
+        const target = parseInt(config.target, 10);
+        if (endCondition !== 'bust' && !(target > 0)) return false;
+
+        this.matchConfig = { endCondition, target: endCondition === 'bust' ? null : target };
+        this.recordEvent('set-match-config', playerId, { config: this.matchConfig });
+        return true;
+    }
+
+    /**
+     * Host picks the house rules (a preset plus optional overrides) between matches
+     */
+    setRules(playerId, presetName, overrides) {
+        if (playerId !== this.hostId || this.status === 'playing') return false;
+        if (this.match && !this.match.over) return false;
+        this.rules = GameRules.resolve(presetName, overrides || {});
+
+        // Nobody has played yet, so seated players start from the new stack
+        if (!this.match) this.players.forEach(p => { p.chips = this.rules.startingChips; });
+        this.recordEvent('set-rules', playerId, { preset: presetName, overrides: overrides || {} });
+        return true;
+    }
+
+    startMatch(seed = null) {
+        if (this.players.length < 3 || this.status === 'playing') return false;
+        if (seed !== null && !isValidSeed(seed)) return false;
+
+        this.players.forEach(p => {
+            p.chips = this.rules.startingChips;
+            p.consecutiveWins = 0;
+        });
+        this.sidePot = 0;
+        this.winnerOfPreviousHand = null;
+        this.streak = null;
+        this.match = { roundsPlayed: 0, over: false, reason: null, history: [], standings: [] };
+        if (!this.dealRound(seed)) return false;
+        this.recordEvent('start-match', null, { seed: this.seed });
+        return true;
+    }
+
+    nextRound(playerId, seed = null) {
+        if (playerId !== this.hostId || this.status !== 'ended') return false;
+        if (!this.match || this.match.over) return false;
+        if (!this.dealRound(seed)) return false;
+        this.recordEvent('next-round', playerId, { seed: this.seed });
+        return true;
+    }
+
     reset() {
         this.players = [];
         this.deck = new Deck();
@@ -52,50 +189,100 @@ class GameSession {
         this.status = 'lobby';
         this.sidePot = 0;
         this.winnerOfPreviousHand = null;
+        this.streak = null; // { playerId, wins } - consecutive wins toward the side pot
+        this.fight = null;
         this.logs = [];
+        this.hostId = null; // First human to join; controls match settings and next round
+        this.matchConfig = { endCondition: 'bust', target: null };
+        this.match = null;
+        this.rules = GameRules.defaults();
+        this.seed = null; // Seed of the current round's shuffle, dealer pick and bot choices
+        this.random = Math.random;
+        this.events = []; // Every accepted action, in order (see recordEvent)
+        this.roundStart = null; // Table before the current round's deal (see dealRound)
+        this.turnClock = null; // { key, playerIds, deadline, seconds } while humans must act (see updateTurnClock)
+        this.missedTurns = {}; // playerId -> consecutive turn clock timeouts
+    }
+
+    /**
+     * Deals a standalone round outside of a match
+     */
+    startRound(seed = null) {
+        if (!this.dealRound(seed)) return false;
+        this.recordEvent('start-round', null, { seed: this.seed });
+        return true;
     }
 
-    startRound() {
+    /**
+     * Deals a new round. Every random choice in it (shuffle, dealer, bot moves)
+     * comes from one stream seeded with `seed`, or a fresh seed if none is given.
+     */
+    dealRound(seed = null) {
         if (this.players.length < 3) return false;
+        if (seed !== null && !isValidSeed(seed)) return false;
 
         this.status = 'playing';
+        this.seed = seed === null ? generateSeed() : seed;
+        this.random = createSeededRandom(this.seed);
         this.deck = new Deck();
-        this.deck.shuffle();
+        this.deck.shuffle(this.random);
         this.discardPile = [];
         this.logs = [];
+        this.fight = null;
+        this.lastCardDrawerId = null;
+        this.turnNumber = 0; // Turns taken this round (the dealer's first turn is 0)
+        this.lastTurnOf = {}; // playerId -> turnNumber of their most recent finished turn
+        this.layoffHistory = []; // { turn, playerId, targetPlayerId } for every sapaw
+        this.undoStack = []; // The current player's exposes and sapaws since their draw (see undo)
 
-        this.phase = 'draw'; // draw, action, discard
+        this.phase = 'draw'; // draw, action, fight-response
+
+        // Table as it stood before the deal, so this hand can be exported on its own
+        this.roundStart = {
+            eventIndex: this.events.length, // Index the round's start event is about to take
+            players: this.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                type: p.type,
+                difficulty: p.difficulty,
+                chips: p.chips,
+                consecutiveWins: p.consecutiveWins
+            })),
+            sidePot: this.sidePot,
+            streak: this.streak && { ...this.streak }
+        };
 
         // Initial bet to side pot
         this.players.forEach(p => {
-            p.chips -= 2;
-            this.sidePot += 2;
+            p.chips -= this.rules.ante;
+            this.sidePot += this.rules.ante;
             p.hand = [];
             p.exposedMelds = [];
             p.hasOpened = false;
             p.isBurned = false;
         });
 
-        // Determine dealer (rotating or winner)
         // Determine dealer (rotating or winner)
         if (this.winnerOfPreviousHand !== null) {
             this.dealerIndex = this.players.findIndex(p => p.id === this.winnerOfPreviousHand);
             // If previous winner is gone, fallback to random
             if (this.dealerIndex === -1) {
-                this.dealerIndex = Math.floor(Math.random() * 3);
+                this.dealerIndex = Math.floor(this.random() * 3);
             }
         } else {
-            this.dealerIndex = Math.floor(Math.random() * 3);
+            this.dealerIndex = Math.floor(this.random() * 3);
         }
 
-        // Deal: 13 to dealer, 12 to others
-        for (let i = 0; i < 12; i++) {
+        // Deal: one extra card to the dealer (13 and 12 by default)
+        for (let i = 0; i < this.rules.handSize; i++) {
             this.players.forEach(p => p.hand.push(this.deck.draw()));
         }
         this.players[this.dealerIndex].hand.push(this.deck.draw());
+        this.roundStart.dealerId = this.players[this.dealerIndex].id;
+        this.roundStart.hands = Object.fromEntries(this.players.map(p => [p.id, p.hand.map(c => c.toString())]));
 
         this.turnIndex = this.dealerIndex;
-        this.phase = 'action'; // Dealer starts in action phase (has 13 cards)
+        this.phase = 'action'; // Dealer starts in action phase (has the extra card)
         this.addLog(`${this.players[this.dealerIndex].name} is the dealer and starts the action.`);
         return true;
     }
@@ -106,23 +293,29 @@ class GameSession {
         if (player.id !== playerId) return false;
 
         const card = this.deck.draw();
-        if (card) {
-            player.hand.push(card);
-            this.phase = 'action';
-            this.addLog(`${player.name} drew from stock.`);
-            return true;
-        } else {
-            this.addLog("Stock pile is empty. Round finishing...");
-            this.endRound(null, 'deck-empty');
-            return true;
+        if (!card) return false;
+
+        player.hand.push(card);
+        this.phase = 'action';
+        this.addLog(`${player.name} drew from stock.`);
+
+        // The player who takes the last card finishes their turn, then the round ends
+        if (this.deck.count === 0) {
+            this.lastCardDrawerId = player.id;
+            this.addLog(`${player.name} drew the last card. The round ends after this turn.`);
         }
+        this.recordEvent('draw-stock', playerId, { drawnCardId: card.id });
+        return true;
     }
 
-    drawFromDiscard(playerId, cardsToMeltIndexes) {
+    drawFromDiscard(playerId, cardIds) {
         if (this.status !== 'playing' || this.phase !== 'draw' || this.discardPile.length === 0) return false;
         const player = this.getCurrentPlayer();
         if (player.id !== playerId) return false;
 
+        const cardsToMeltIndexes = this.findHandIndexes(player, cardIds);
+        if (!cardsToMeltIndexes) return false;
+
         const topCard = this.discardPile.pop();
         const handCardsForMeld = cardsToMeltIndexes.map(i => player.hand[i]);
         const potentialMeld = [...handCardsForMeld, topCard];
@@ -133,7 +326,8 @@ class GameSession {
             player.exposedMelds.push({
                 cards: potentialMeld,
                 isSecret: false,
-                isSapawedByOthers: false
+                isSapawedByOthers: false,
+                layoffs: []
             });
             if (!player.hasOpened) {
                 player.openedThisTurn = true;
@@ -147,6 +341,7 @@ class GameSession {
                 this.endRound(player, 'tongit');
             }
 
+            this.recordEvent('draw-discard', playerId, { cardIds, drawnCardId: topCard.id });
             return true;
         } else {
             this.discardPile.push(topCard); // Put it back
@@ -154,37 +349,50 @@ class GameSession {
         }
     }
 
-    discard(playerId, cardIndex) {
+    discard(playerId, cardId) {
         if (this.status !== 'playing' || this.phase !== 'action') return false;
         const player = this.getCurrentPlayer();
         if (player.id !== playerId) return false;
 
+        const [cardIndex] = this.findHandIndexes(player, [cardId]) || [];
+        if (cardIndex === undefined) return false;
+
         const card = player.hand.splice(cardIndex, 1)[0];
         this.discardPile.push(card);
         this.addLog(`${player.name} discarded ${card.rank}${card.suit}.`);
 
         if (player.hand.length === 0) {
             this.endRound(player, 'tongit');
+        } else if (this.lastCardDrawerId === player.id) {
+            this.addLog("Stock pile is empty. Round finishing...");
+            this.endRound(null, 'deck-empty');
         } else {
             this.nextTurn();
             this.phase = 'draw';
         }
+        this.recordEvent('discard', playerId, { cardIds: [cardId] });
         return true;
     }
 
-    exposeMeld(playerId, cardIndexes) {
+    exposeMeld(playerId, cardIds) {
         if (this.status !== 'playing' || this.phase !== 'action') return false;
         const player = this.getCurrentPlayer();
         if (player.id !== playerId) return false;
 
+        const cardIndexes = this.findHandIndexes(player, cardIds);
+        if (!cardIndexes) return false;
+
         const meldCards = cardIndexes.map(i => player.hand[i]);
         if (GameUtils.isSet(meldCards) || GameUtils.isRun(meldCards)) {
+            this.pushUndo(player, { type: 'expose' });
+
             // Remove from hand (sort indexes descending to avoid shift issues)
             [...cardIndexes].sort((a, b) => b - a).forEach(i => player.hand.splice(i, 1));
             player.exposedMelds.push({
                 cards: meldCards,
                 isSecret: false,
-                isSapawedByOthers: false
+                isSapawedByOthers: false,
+                layoffs: []
             });
             if (!player.hasOpened) {
                 player.openedThisTurn = true;
@@ -195,26 +403,67 @@ class GameSession {
             if (player.hand.length === 0) {
                 this.endRound(player, 'tongit');
             }
+            this.recordEvent('expose-meld', playerId, { cardIds });
             return true;
         }
         return false;
     }
 
-    sapaw(playerId, targetPlayerId, meldIndex, cardIndex) {
+    exposeSecretSet(playerId, cardIds) {
         if (this.status !== 'playing' || this.phase !== 'action') return false;
         const player = this.getCurrentPlayer();
         if (player.id !== playerId) return false;
 
+        if (!this.rules.allowSecretSets) return false;
+
+        // Secret sets must be exactly 4 cards of the same rank
+        const cardIndexes = this.findHandIndexes(player, cardIds);
+        if (!cardIndexes || cardIndexes.length !== 4) return false;
+        const meldCards = cardIndexes.map(i => player.hand[i]);
+        if (!GameUtils.isSet(meldCards)) return false;
+
+        this.pushUndo(player, { type: 'expose' });
+        [...cardIndexes].sort((a, b) => b - a).forEach(i => player.hand.splice(i, 1));
+        player.exposedMelds.push({
+            cards: meldCards,
+            isSecret: true,
+            isSapawedByOthers: false,
+            layoffs: []
+        });
+        if (!player.hasOpened) {
+            player.openedThisTurn = true;
+        }
+        player.hasOpened = true;
+        this.addLog(`${player.name} laid down a secret set.`);
+
+        if (player.hand.length === 0) {
+            this.endRound(player, 'tongit');
+        }
+        this.recordEvent('expose-secret-set', playerId, { cardIds });
+        return true;
+    }
+
+    sapaw(playerId, targetPlayerId, meldIndex, cardId) {
+        if (this.status !== 'playing' || this.phase !== 'action') return false;
+        const player = this.getCurrentPlayer();
+        if (player.id !== playerId) return false;
+
+        const [cardIndex] = this.findHandIndexes(player, [cardId]) || [];
+        if (cardIndex === undefined) return false;
+
         const targetPlayer = this.players.find(p => p.id === targetPlayerId);
-        if (!targetPlayer) return false;
+        if (!targetPlayer || !Number.isInteger(meldIndex)) return false; // Not '__proto__' and the like
 
         const meld = targetPlayer.exposedMelds[meldIndex];
-        if (!meld) return false;
+        if (!meld || meld.isSecret) return false; // Face-down sets take no lay-offs
 
         const card = player.hand[cardIndex];
         if (GameUtils.canLayOff(card, meld.cards)) {
+            this.pushUndo(player, { type: 'sapaw', meld, meldCards: [...meld.cards], isSapawedByOthers: meld.isSapawedByOthers });
             player.hand.splice(cardIndex, 1);
             meld.cards.push(card);
+            meld.layoffs.push({ playerId: player.id, card });
+            this.layoffHistory.push({ turn: this.turnNumber, playerId: player.id, targetPlayerId });
 
             // If someone else sapawed onto this meld, mark it
             if (player.id !== targetPlayerId) {
@@ -230,30 +479,341 @@ class GameSession {
             if (player.hand.length === 0) {
                 this.endRound(player, 'tongit');
             }
+            this.recordEvent('sapaw', playerId, { cardIds: [cardId], targetPlayerId, meldIndex });
             return true;
         }
         return false;
     }
 
-    callFight(playerId) {
+    /**
+     * Declares Tongit with a hand that is entirely concealed melds, either as it
+     * stands or after discarding the card with discardCardId.
+     */
+    callTongit(playerId, discardCardId = null) {
         if (this.status !== 'playing' || this.phase !== 'action') return false;
+        const player = this.getCurrentPlayer();
+        if (player.id !== playerId) return false;
+
+        let discardIndex = null;
+        if (discardCardId !== null) {
+            [discardIndex] = this.findHandIndexes(player, [discardCardId]) || [];
+            if (discardIndex === undefined) return false;
+        }
+        const remaining = player.hand.filter((_, i) => i !== discardIndex);
+        const melds = GameUtils.findConcealedMelds(remaining);
+        if (!melds) return false;
+
+        if (discardIndex !== null) {
+            const card = player.hand.splice(discardIndex, 1)[0];
+            this.discardPile.push(card);
+            this.addLog(`${player.name} discarded ${card.rank}${card.suit}.`);
+        }
+
+        // Reveal the concealed melds; a concealed four-of-a-kind is a secret set
+        melds.forEach(cards => {
+            player.exposedMelds.push({
+                cards,
+                isSecret: this.rules.allowSecretSets && cards.length === 4 && GameUtils.isSet(cards),
+                isSapawedByOthers: false,
+                layoffs: []
+            });
+        });
+        player.hand = [];
+        player.hasOpened = true;
+        this.addLog(`${player.name} calls TONGIT with a fully melded hand!`);
+
+        this.endRound(player, 'tongit');
+        this.recordEvent('call-tongit', playerId, { cardIds: discardCardId === null ? [] : [discardCardId] });
+        return true;
+    }
+
+    /**
+     * How the current player could declare Tongit right now: with no discard,
+     * and/or by discarding one of the listed cards.
+     */
+    getTongitOptions(player) {
+        const options = { withoutDiscard: false, discardCardIds: [] };
+        if (this.status !== 'playing' || this.phase !== 'action') return options;
+        if (player.id !== this.getCurrentPlayer().id) return options;
+
+        options.withoutDiscard = GameUtils.findConcealedMelds(player.hand) !== null;
+        player.hand.forEach(card => {
+            if (GameUtils.findConcealedMelds(player.hand.filter(c => c !== card))) {
+                options.discardCardIds.push(card.id);
+            }
+        });
+        return options;
+    }
+
+    /**
+     * Takes back the current player's latest expose or sapaw, restoring their
+     * hand, opened state and the meld it touched. Only possible before they
+     * discard, and only if the room's rules allow it.
+     */
+    undo(playerId) {
+        const player = this.getCurrentPlayer();
+        if (!player || player.id !== playerId || !this.canUndo(player)) return false;
+
+        const entry = this.undoStack.pop();
+        player.hand = entry.hand;
+        player.hasOpened = entry.hasOpened;
+        player.openedThisTurn = entry.openedThisTurn;
+
+        if (entry.type === 'sapaw') {
+            entry.meld.cards = entry.meldCards;
+            entry.meld.isSapawedByOthers = entry.isSapawedByOthers;
+            entry.meld.layoffs.pop();
+            this.layoffHistory.pop();
+            this.addLog(`${player.name} took back a sapaw.`);
+        } else {
+            player.exposedMelds.pop();
+            this.addLog(`${player.name} took back a meld.`);
+        }
+        this.recordEvent('undo', playerId);
+        return true;
+    }
+
+    canUndo(player) {
+        return this.rules.allowUndo && this.status === 'playing' && this.phase === 'action' &&
+            player.id === this.getCurrentPlayer().id && this.undoStack.length > 0;
+    }
+
+    /**
+     * Remembers what an expose or sapaw is about to change so undo can restore it
+     */
+    pushUndo(player, entry) {
+        this.undoStack.push({
+            ...entry,
+            hand: [...player.hand],
+            hasOpened: player.hasOpened,
+            openedThisTurn: player.openedThisTurn
+        });
+    }
+
+    /**
+     * Plays the current player's whole turn from one plan, all or nothing:
+     *   { draw: { source: 'stock' } | { source: 'discard', cardIds } (omitted when
+     *     the turn starts in the action phase, like the dealer's first),
+     *     plays: [{ type: 'expose' | 'secret-set', cardIds } | { type: 'sapaw', targetPlayerId, meldIndex, cardId }],
+     *     discardCardId, tongit }
+     * A play that empties the hand ends the round, so nothing may follow it.
+     * The plan is tried on a copy of the session first; the real session only
+     * changes if every step is legal.
+     */
+    submitTurn(playerId, plan) {
+        if (!plan || typeof plan !== 'object') return false;
+        if (plan.plays !== undefined && !Array.isArray(plan.plays)) return false;
+        if (!this.cloneForTrial().applyTurnPlan(playerId, plan)) return false;
+        return this.applyTurnPlan(playerId, plan);
+    }
+
+    applyTurnPlan(playerId, plan) {
+        const player = this.getCurrentPlayer();
+        if (this.status !== 'playing' || !player || player.id !== playerId) return false;
+
+        if (this.phase === 'draw') {
+            if (!this.applyTurnDraw(playerId, plan.draw)) return false;
+        } else if (this.phase !== 'action' || plan.draw) {
+            return false;
+        }
+
+        for (const play of plan.plays || []) {
+            if (this.status !== 'playing' || !this.applyTurnPlay(playerId, play)) return false;
+        }
+
+        const finish = plan.discardCardId !== undefined && plan.discardCardId !== null;
+        if (this.status !== 'playing') return !finish && !plan.tongit; // The hand emptied: Tongit
+        if (plan.tongit) return this.callTongit(playerId, finish ? plan.discardCardId : null);
+        return finish && this.discard(playerId, plan.discardCardId);
+    }
+
+    applyTurnDraw(playerId, draw) {
+        if (!draw) return false;
+        if (draw.source === 'discard') return this.drawFromDiscard(playerId, draw.cardIds);
+        return draw.source === 'stock' && this.drawFromStock(playerId);
+    }
+
+    applyTurnPlay(playerId, play) {
+        if (!play) return false;
+        switch (play.type) {
+            case 'expose': return this.exposeMeld(playerId, play.cardIds);
+            case 'secret-set': return this.exposeSecretSet(playerId, play.cardIds);
+            case 'sapaw': return this.sapaw(playerId, play.targetPlayerId, play.meldIndex, play.cardId);
+            default: return false;
+        }
+    }
+
+    /**
+     * A copy of the session that actions can be tried on without touching
+     * this one. Cards are immutable, so only the containers are copied.
+     */
+    cloneForTrial() {
+        const trial = Object.assign(Object.create(GameSession.prototype), this);
+        trial.players = this.players.map(p => Object.assign(Object.create(Player.prototype), p, {
+            hand: [...p.hand],
+            exposedMelds: p.exposedMelds.map(m => ({ ...m, cards: [...m.cards], layoffs: [...m.layoffs] }))
+        }));
+        trial.deck = Object.assign(Object.create(Deck.prototype), this.deck, { cards: [...this.deck.cards] });
+        trial.discardPile = [...this.discardPile];
+        trial.logs = [...this.logs];
+        trial.events = [...this.events];
+        trial.layoffHistory = [...(this.layoffHistory || [])];
+        trial.lastTurnOf = { ...this.lastTurnOf };
+        trial.undoStack = [];
+        trial.missedTurns = { ...this.missedTurns };
+        trial.fight = this.fight && { ...this.fight, responses: { ...this.fight.responses } };
+        trial.match = this.match && { ...this.match, history: [...this.match.history] };
+        trial.streak = this.streak && { ...this.streak };
+        return trial;
+    }
+
+    /**
+     * A playable session rebuilt from one seat's serialized view of a round
+     * in progress, with the cards that seat can't see filled in from `hidden`:
+     *   { hands: { playerId: Card[] }, secretSets: { playerId: Card[][] }, stock: Card[] }
+     * Bots use it to play out possible continuations; it is never a real game.
+     * Fight blocks from past lay-offs are not carried over.
+     */
+    static fromSeatView(view, hidden) {
+        const game = new GameSession();
+        game.rules = { ...view.rules };
+        game.players = view.players.map(p => {
+            const player = new Player(p.id, p.name, 'bot', 'medium', p.chips);
+            const secretSets = [...(hidden.secretSets[p.id] || [])];
+            player.hand = [...(hidden.hands[p.id] || p.hand)];
+            player.exposedMelds = p.exposedMelds.map(m => ({
+                ...m,
+                cards: m.cardCount !== undefined ? secretSets.shift() : [...m.cards],
+                layoffs: [...m.layoffs]
+            }));
+            player.hasOpened = p.hasOpened;
+            player.openedThisTurn = p.openedThisTurn;
+            player.isBurned = p.isBurned;
+            player.consecutiveWins = p.consecutiveWins;
+            return player;
+        });
+
+        game.deck.cards = [...hidden.stock];
+        game.discardPile = [...view.discardPile];
+        game.turnIndex = view.turnIndex;
+        game.dealerIndex = view.dealerIndex;
+        game.sidePot = view.sidePot;
+        game.status = 'playing';
+        game.phase = view.phase;
+        game.fight = view.fight && { ...view.fight, responses: { ...view.fight.responses } };
+        game.turnNumber = 0;
+        game.lastTurnOf = {};
+        game.layoffHistory = [];
+        game.undoStack = [];
+        // With the stock gone, whoever is acting took the last card
+        game.lastCardDrawerId = view.stockCount === 0 ? view.players[view.turnIndex].id : null;
+        return game;
+    }
+
+    /**
+     * Looks up cards in a player's hand by id.
+     * @returns {number[]|null} their hand indexes, or null if any id is unknown or repeated
+     */
+    findHandIndexes(player, cardIds) {
+        if (!Array.isArray(cardIds) || new Set(cardIds).size !== cardIds.length) return null;
+        const indexes = cardIds.map(id => player.hand.findIndex(c => c.id === id));
+        return indexes.includes(-1) ? null : indexes;
+    }
+
+    callFight(playerId) {
+        // A fight (the "Draw" call) happens at the start of a turn, before drawing
+        if (this.status !== 'playing' || this.phase !== 'draw') return false;
         const challenger = this.getCurrentPlayer();
         if (challenger.id !== playerId) return false;
 
         // Eligibility Check
-        if (!challenger.hasOpened) return false;
-        if (challenger.openedThisTurn) return false; // Cannot fight on same turn as opening
-        const allSapawed = challenger.exposedMelds.every(m => m.isSapawedByOthers);
-        if (allSapawed) return false;
+        if (this.getFightBlockReason(challenger)) return false;
+
+        this.addLog(`${challenger.name} called a FIGHT! Waiting for responses...`);
+        this.fight = { callerId: challenger.id, responses: {} };
+        this.phase = 'fight-response';
+
+        // Only opened players may challenge; everyone else folds
+        this.players.forEach(p => {
+            if (p.id === challenger.id) return;
+            if (!p.hasOpened) {
+                this.fight.responses[p.id] = 'fold';
+                this.addLog(`${p.name} has not opened and must fold.`);
+            } else {
+                this.fight.responses[p.id] = null;
+            }
+        });
 
-        this.addLog(`${challenger.name} called a FIGHT!`);
-        this.endRound(challenger, 'fight');
+        this.resolveFightIfReady();
+        this.recordEvent('call-fight', playerId);
         return true;
     }
 
+    /**
+     * Why a player may not call a fight at the start of their turn, or null if they may.
+     * Blocked when unopened, when anyone laid off on their melds since their last
+     * turn, or when they laid off on their own melds during that turn.
+     */
+    getFightBlockReason(player) {
+        if (!player.hasOpened) return 'You have not opened yet.';
+
+        const lastTurn = this.lastTurnOf[player.id];
+        const laidOnByOther = this.layoffHistory.find(l =>
+            l.targetPlayerId === player.id && l.playerId !== player.id && (lastTurn === undefined || l.turn > lastTurn));
+        if (laidOnByOther) {
+            const other = this.players.find(p => p.id === laidOnByOther.playerId);
+            return `${other ? other.name : 'Someone'} laid off on your melds since your last turn.`;
+        }
+
+        const laidOnSelf = this.layoffHistory.some(l =>
+            l.turn === lastTurn && l.playerId === player.id && l.targetPlayerId === player.id);
+        if (laidOnSelf) return 'You laid off on your own melds last turn.';
+
+        return null;
+    }
+
+    respondToFight(playerId, response) {
+        if (this.status !== 'playing' || this.phase !== 'fight-response') return false;
+        if (!['fold', 'challenge'].includes(response)) return false;
+        if (this.fight.responses[playerId] !== null) return false; // Not asked, or already answered
+
+        const player = this.players.find(p => p.id === playerId);
+        this.fight.responses[playerId] = response;
+        this.addLog(response === 'challenge' ? `${player.name} challenges!` : `${player.name} folds.`);
+
+        this.resolveFightIfReady();
+        this.recordEvent('fight-response', playerId, { response });
+        return true;
+    }
+
+    getPendingFightResponders() {
+        if (this.phase !== 'fight-response') return [];
+        return this.players.filter(p => this.fight.responses[p.id] === null);
+    }
+
+    /**
+     * A player left while a fight was pending: the fight goes on without
+     * their answer, or is called off if they called it
+     */
+    dropFromFight(playerId) {
+        if (this.fight.callerId !== playerId) {
+            delete this.fight.responses[playerId];
+            return this.resolveFightIfReady();
+        }
+        this.fight = null;
+        this.phase = 'draw';
+        this.addLog('The fight is called off.');
+    }
+
+    resolveFightIfReady() {
+        if (this.getPendingFightResponders().length > 0) return;
+        const caller = this.players.find(p => p.id === this.fight.callerId);
+        this.endRound(caller, 'fight');
+    }
+
     endRound(winner, type) {
         this.status = 'ended';
-        this.roundResults = { type, players: [] };
+        this.roundResults = { type, seed: this.seed, players: [] };
 
         if (type === 'tongit') {
             this.winnerOfPreviousHand = winner.id;
@@ -268,110 +828,219 @@ class GameSession {
                 id: p.id,
                 name: p.name,
                 weight: GameUtils.calculateHandValue(p.hand),
-                bestCard: this.findBestCard(p.hand)
+                isBurned: !p.hasOpened
             }));
 
-            // Find min weight
-            let minWeight = Math.min(...results.map(r => r.weight));
-            let tiedPlayers = results.filter(r => r.weight === minWeight);
+            // Rules:
+            // 1. Burned (never-opened) players lose automatically.
+            // 2. Lowest weight among the rest wins.
+            // 3. Ties go to the player who drew the last card, otherwise to the
+            //    tied player nearest their right (next in turn order).
+            // A drawer who has left hands the tie to the seat after theirs
+            const drawerIndex = this.players.findIndex(p => p.id === this.lastCardDrawerId);
+            const first = drawerIndex === -1 ? this.turnIndex : drawerIndex;
+            const turnOrder = results.map((r, i) => results[(first + i) % results.length]);
+            let contestants = turnOrder.filter(r => !r.isBurned);
+            if (contestants.length === 0) contestants = turnOrder; // Nobody opened: compare everyone
 
-            let finalWinner;
-            if (tiedPlayers.length === 1) {
-                finalWinner = tiedPlayers[0];
-            } else {
-                // Tie breaker: highest value card
-                tiedPlayers.sort((a, b) => this.compareCardsForTieBreaker(b.bestCard, a.bestCard));
-                finalWinner = tiedPlayers[0];
-                this.addLog(`Tie breaker: ${finalWinner.name} wins with ${finalWinner.bestCard.rank}${finalWinner.bestCard.suit}.`);
+            const minWeight = Math.min(...contestants.map(r => r.weight));
+            const tiedPlayers = contestants.filter(r => r.weight === minWeight);
+            const finalWinner = tiedPlayers[0];
+            if (tiedPlayers.length > 1) {
+                this.addLog(`Tie breaker: ${finalWinner.name} wins the tie at ${minWeight}.`);
             }
 
             this.winnerOfPreviousHand = finalWinner.id;
+            this.roundResults.lastCardDrawerId = this.lastCardDrawerId;
             this.roundResults.players = results.map(r => ({
                 ...r,
                 isWinner: r.id === finalWinner.id
             }));
             this.addLog(`Game ended! ${finalWinner.name} wins with least weight (${minWeight}).`);
         } else if (type === 'fight') {
-            const results = this.players.map(p => {
-                const weight = GameUtils.calculateHandValue(p.hand);
-                const isBurned = !p.hasOpened;
-                return {
-                    id: p.id,
-                    name: p.name,
-                    weight: weight,
-                    isBurned: isBurned,
-                    bestCard: this.findBestCard(p.hand)
-                };
-            });
+            const responses = this.fight.responses;
+            const results = this.players.map(p => ({
+                id: p.id,
+                name: p.name,
+                weight: GameUtils.calculateHandValue(p.hand),
+                isBurned: !p.hasOpened,
+                response: p.id === winner.id ? 'call' : responses[p.id]
+            }));
 
             // Rules:
-            // 1. Burned players lose automatically.
-            // 2. Compare weight of non-burned players.
-            // 3. Challenger wins if their weight is strictly less than everyone else's.
-            //    If anyone ties or beats the challenger, that defender (or the best among them) wins.
-
-            const validContestants = results.filter(r => !r.isBurned);
-            const challengerResult = results.find(r => r.id === winner.id);
-            const competitors = validContestants.filter(r => r.id !== winner.id);
+            // 1. If everyone folds, the caller wins without a showdown.
+            // 2. Otherwise the caller and the challengers compare weights; lowest wins.
+            // 3. A challenger beats the caller on a tie.
+            // 4. Between tied challengers, the one nearest the caller's right (next in turn order) wins.
+            const callerIndex = this.players.findIndex(p => p.id === winner.id);
+            const challengers = results.map((r, i) => results[(callerIndex + 1 + i) % results.length])
+                .filter(r => r.response === 'challenge');
 
-            let finalWinnerResult = challengerResult;
-            let winReason = "least weight";
+            let finalWinnerResult = results[callerIndex];
+            let winReason = challengers.length === 0 ? "everyone folding" : "least weight";
 
-            for (const defender of competitors) {
+            for (const defender of challengers) {
                 if (defender.weight < finalWinnerResult.weight) {
                     finalWinnerResult = defender;
                     winReason = "least weight";
-                } else if (defender.weight === finalWinnerResult.weight) {
-                    // Challenger loses on tie
-                    if (finalWinnerResult.id === challengerResult.id) {
-                        finalWinnerResult = defender;
-                        winReason = "winning the tie";
-                    } else {
-                        // Tie-breaker between two defenders
-                        if (this.compareCardsForTieBreaker(defender.bestCard, finalWinnerResult.bestCard) > 0) {
-                            finalWinnerResult = defender;
-                        }
-                    }
+                } else if (defender.weight === finalWinnerResult.weight && finalWinnerResult.id === winner.id) {
+                    finalWinnerResult = defender;
+                    winReason = "winning the tie";
                 }
             }
 
             this.winnerOfPreviousHand = finalWinnerResult.id;
+            if (challengers.length > 0) this.roundResults.type = 'challenged-fight';
+            this.roundResults.callerId = winner.id;
+            this.roundResults.folded = results.filter(r => r.response === 'fold').map(r => r.id);
+            this.roundResults.challenged = challengers.map(r => r.id);
             this.roundResults.players = results.map(r => ({
                 ...r,
                 isWinner: r.id === finalWinnerResult.id
             }));
             this.addLog(`${finalWinnerResult.name} wins the fight by ${winReason}!`);
         }
+
+        this.addLog(`Round seed: ${this.seed}`); // Only now: the seed reveals every hand and the stock
+        this.settleChips();
+        this.recordMatchRound();
     }
 
-    findBestCard(hand) {
-        if (!hand || hand.length === 0) return null;
-        let best = hand[0];
-        for (let i = 1; i < hand.length; i++) {
-            if (this.compareCardsForTieBreaker(hand[i], best) > 0) {
-                best = hand[i];
-            }
+    /**
+     * Pays the round winner from each loser and records the itemised
+     * breakdown plus everyone's running chip total in roundResults.
+     */
+    settleChips() {
+        const roundWinner = this.players.find(p => p.id === this.winnerOfPreviousHand);
+        const losers = this.players.filter(p => p !== roundWinner);
+        losers.forEach(p => { p.isBurned = !p.hasOpened; });
+
+        const sidePotClaimed = this.updateStreak(roundWinner);
+        const settlement = Scorer.calculateChips(roundWinner, losers, this.roundResults.type, sidePotClaimed, this.rules);
+        this.roundResults.settlement = settlement;
+        this.roundResults.sidePot = this.sidePot;
+        this.roundResults.streak = { ...this.streak };
+        this.roundResults.players.forEach(r => {
+            const player = this.players.find(p => p.id === r.id);
+            r.chips = player.chips;
+            r.isBurned = player.isBurned;
+        });
+        this.addLog(`${roundWinner.name} collects ${settlement.winnerTotal} chips.`);
+    }
+
+    /**
+     * Adds the finished round to the match history and ends the match if
+     * the configured end condition (or a bust) has been reached.
+     */
+    recordMatchRound() {
+        if (!this.match) return;
+
+        const winner = this.players.find(p => p.id === this.winnerOfPreviousHand);
+        this.match.roundsPlayed++;
+        this.match.history.push({
+            round: this.match.roundsPlayed,
+            winnerId: winner.id,
+            winnerName: winner.name,
+            type: this.roundResults.type,
+            chips: Object.fromEntries(this.players.map(p => [p.id, p.chips]))
+        });
+
+        const { endCondition, target } = this.matchConfig;
+        const bust = this.players.filter(p => p.chips <= 0);
+        if (bust.length > 0) {
+            this.match.reason = `${bust.map(p => p.name).join(' and ')} went bust.`;
+        } else if (endCondition === 'rounds' && this.match.roundsPlayed >= target) {
+            this.match.reason = `${target} rounds played.`;
+        } else if (endCondition === 'chip-target' && this.players.some(p => p.chips >= target)) {
+            this.match.reason = `${this.players.find(p => p.chips >= target).name} reached ${target} chips.`;
         }
-        return best;
-    }
-
-    compareCardsForTieBreaker(cardA, cardB) {
-        if (!cardA) return -1;
-        if (!cardB) return 1;
-        const SUIT_ORDER = { '♦': 4, '♥': 3, '♠': 2, '♣': 1 };
-        const getTieBreakerRankValue = (rank) => {
-            if (rank === 'Q') return 13;
-            if (rank === 'K') return 12;
-            if (rank === 'J') return 11;
-            if (rank === 'A') return 1;
-            return parseInt(rank);
-        };
+        if (!this.match.reason) return;
+
+        this.match.over = true;
+        this.match.standings = [...this.players]
+            .sort((a, b) => b.chips - a.chips)
+            .map(p => ({
+                id: p.id,
+                name: p.name,
+                chips: p.chips,
+                roundsWon: this.match.history.filter(h => h.winnerId === p.id).length
+            }));
+        this.addLog(`Match over! ${this.match.reason} ${this.match.standings[0].name} wins the match.`);
+    }
+
+    /**
+     * Extends or restarts the win streak. Every second win in a row takes
+     * the whole side pot; returns the amount claimed (0 if none).
+     */
+    updateStreak(roundWinner) {
+        // Streaks follow the player id, so a refilled seat starts fresh
+        if (this.streak && this.streak.playerId === roundWinner.id) {
+            this.streak.wins++;
+        } else {
+            this.streak = { playerId: roundWinner.id, wins: 1 };
+        }
+        this.players.forEach(p => {
+            p.consecutiveWins = p.id === roundWinner.id ? this.streak.wins : 0;
+        });
+
+        if (this.streak.wins % SIDE_POT_STREAK !== 0) return 0;
+        const claimed = this.sidePot;
+        this.sidePot = 0;
+        this.addLog(`${roundWinner.name} won two hands in a row and takes the side pot (${claimed} chips)!`);
+        return claimed;
+    }
+
+    /**
+     * Appends an accepted action to the structured event log, noting the phase
+     * and status it left the session in. The log plus the round seeds it
+     * carries rebuilds the whole session (see GameSession.replay).
+     */
+    recordEvent(type, actorId, details = {}) {
+        this.events.push({
+            seq: this.events.length,
+            type,
+            actorId,
+            ...details,
+            phase: this.phase,
+            status: this.status,
+            timestamp: Date.now()
+        });
+    }
 
-        const valA = getTieBreakerRankValue(cardA.rank);
-        const valB = getTieBreakerRankValue(cardB.rank);
+    /**
+     * The event log from `fromSeq` on as one seat sees it: round seeds, other
+     * players' stock draws and other players' secret set cards are left out.
+     */
+    eventsVisibleTo(playerId, fromSeq = 0) {
+        return this.events.slice(fromSeq).map(event => {
+            const { seed, drawnCardId, ...visible } = event;
+            if (event.actorId === playerId && drawnCardId !== undefined) visible.drawnCardId = drawnCardId;
+            if (event.type === 'draw-discard') visible.drawnCardId = drawnCardId; // Face-up on the pile
+            if (event.type === 'expose-secret-set' && event.actorId !== playerId) {
+                return { ...visible, cardIds: [], cardCount: event.cardIds.length };
+            }
+            return visible;
+        });
+    }
+
+    /**
+     * Rebuilds a session by re-applying a recorded event log in order.
+     * @returns {GameSession|null} the rebuilt session, or null if an event no longer applies
+     */
+    static replay(events) {
+        const game = new GameSession();
+        for (const event of events) {
+            if (!game.applyEvent(event)) return null;
+        }
+        return game;
+    }
 
-        if (valA !== valB) return valA - valB;
-        return SUIT_ORDER[cardA.suit] - SUIT_ORDER[cardB.suit];
+    /**
+     * Re-applies one recorded event; false if it is unknown or not legal now
+     */
+    applyEvent(event) {
+        const handler = EVENT_HANDLERS[event.type];
+        return !!handler && !!handler(this, event);
     }
 
     addLog(msg) {
@@ -383,9 +1052,79 @@ class GameSession {
         return this.players[this.turnIndex];
     }
 
+    /**
+     * Points the turn clock at the humans who must act now: the current player,
+     * or everyone yet to answer a fight. The clock keeps running through the
+     * draw and action phases of one turn and stops when no one present must act
+     * or it has run out.
+     * @returns {object|null} the clock, the same object while it keeps running
+     */
+    updateTurnClock(now = Date.now()) {
+        const seconds = this.rules.turnSeconds;
+        let playerIds = [];
+        if (seconds > 0 && this.status === 'playing') {
+            const waitingOn = this.phase === 'fight-response' ? this.getPendingFightResponders() : [this.getCurrentPlayer()];
+            playerIds = waitingOn.filter(p => p.type === 'human' && !p.isAway).map(p => p.id);
+        }
+        if (playerIds.length === 0) {
+            this.turnClock = null;
+            return null;
+        }
+
+        const key = `${this.turnNumber}:${this.phase === 'fight-response' ? 'fight' : 'turn'}`;
+        const running = this.turnClock && this.turnClock.key === key && this.turnClock.deadline > now;
+        if (running && playerIds.every(id => this.turnClock.playerIds.includes(id))) {
+            this.turnClock.playerIds = playerIds;
+        } else {
+            this.turnClock = { key, playerIds, deadline: now + seconds * 1000, seconds };
+        }
+        return this.turnClock;
+    }
+
+    /**
+     * Counts a turn the clock ran out on (the caller has already played it).
+     * The first is a warning; after AWAY_AFTER_MISSED_TURNS in a row the
+     * player is marked away.
+     */
+    recordTimeout(playerId) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player) return false;
+
+        const missed = (this.missedTurns[playerId] || 0) + 1;
+        this.missedTurns[playerId] = missed;
+        if (missed >= AWAY_AFTER_MISSED_TURNS) {
+            this.setAway(playerId, true);
+        } else {
+            this.addLog(`${player.name} ran out of time. Miss ${AWAY_AFTER_MISSED_TURNS - missed} more turn(s) and a bot takes over.`);
+        }
+        return true;
+    }
+
+    /**
+     * A player did something, so they are at the table
+     */
+    markActive(playerId) {
+        this.missedTurns[playerId] = 0;
+    }
+
+    setAway(playerId, away) {
+        const player = this.players.find(p => p.id === playerId);
+        if (!player || player.type !== 'human' || player.isAway === away) return false;
+
+        player.isAway = away;
+        this.missedTurns[playerId] = 0;
+        this.addLog(away ? `${player.name} is away. A bot plays for them.` : `${player.name} is back.`);
+        this.recordEvent('set-away', playerId, { away });
+        return true;
+    }
+
     nextTurn() {
-        this.players[this.turnIndex].openedThisTurn = false; // Reset for player ending turn
-        this.turnIndex = (this.turnIndex + 1) % 3;
+        const endingPlayer = this.players[this.turnIndex];
+        endingPlayer.openedThisTurn = false; // Reset for player ending turn
+        this.lastTurnOf[endingPlayer.id] = this.turnNumber;
+        this.turnNumber++;
+        this.turnIndex = (this.turnIndex + 1) % this.players.length;
+        this.undoStack = [];
     }
 }
 
@@ -0,0 +1,178 @@
+/**
+ * Tongits Hand History
+ * Saves a round as TGN (Tongits Game Notation), a JSON document holding the
+ * table before the deal, the seed, every move in order and the result, and
+ * loads, validates and steps through TGN files.
+ */
+
+const { GameSession } = require('./gameState');
+const { isValidSeed } = require('./gameEngine');
+const GameRules = require('./gameRules');
+
+const TGN_FORMAT = 'TGN';
+const TGN_VERSION = 2; // 2: hex seeds and the SHA-256 stream (version 1 files dealt from 32-bit seeds)
+const MAX_TGN_LENGTH = 256 * 1024; // Characters; a real hand is a few kilobytes
+const MAX_TGN_MOVES = 500; // A hand runs out of stock long before this
+
+// Session events that are moves within a hand (lobby and match events are not).
+// A player leaving mid-round is one: the hand goes on without them.
+const MOVE_TYPES = [
+    'draw-stock', 'draw-discard', 'discard', 'expose-meld', 'expose-secret-set',
+    'sapaw', 'undo', 'call-tongit', 'call-fight', 'fight-response', 'remove-player'
+];
+
+const HandHistory = {
+    MOVE_TYPES,
+    MAX_TGN_LENGTH,
+
+    /**
+     * Builds the TGN document for the session's current round (finished or not).
+     * @returns {object|null} null before the first deal
+     */
+    export(game) {
+        const start = game.roundStart;
+        if (!start) return null;
+
+        return {
+            format: TGN_FORMAT,
+            version: TGN_VERSION,
+            seed: game.seed,
+            rules: game.rules,
+            players: start.players,
+            sidePot: start.sidePot,
+            streak: start.streak,
+            dealerId: start.dealerId,
+            deal: start.hands,
+            moves: this.handMoves(game.events.slice(start.eventIndex + 1)),
+            result: game.status === 'ended' ? game.roundResults : null
+        };
+    },
+
+    /**
+     * The moves among a round's events, up to the one that ended the hand
+     * (a player who leaves afterwards is not part of it)
+     */
+    handMoves(events) {
+        const end = events.findIndex(e => e.status === 'ended');
+        return events.slice(0, end === -1 ? events.length : end + 1)
+            .filter(e => MOVE_TYPES.includes(e.type))
+            .map(({ seq, ...move }) => move);
+    },
+
+    stringify(tgn) {
+        return JSON.stringify(tgn, null, 2);
+    },
+
+    /**
+     * @returns {object|null} the TGN document, or null if the text isn't JSON
+     */
+    parse(text) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return null;
+        }
+    },
+
+    /**
+     * Sets up a GameSession at the start of the hand: same table, same deal,
+     * no moves applied yet. Step through the hand with applyMove.
+     * @returns {GameSession|null} null if the header is malformed
+     */
+    load(tgn) {
+        if (this.checkHeader(tgn)) return null;
+
+        const game = new GameSession();
+        game.rules = GameRules.resolve(tgn.rules.basePreset, tgn.rules);
+        tgn.players.forEach(p => {
+            const player = game.addPlayer(p.id, p.name, p.type, p.difficulty);
+            player.chips = p.chips;
+            player.consecutiveWins = p.consecutiveWins || 0;
+        });
+        game.sidePot = tgn.sidePot;
+        game.streak = tgn.streak && { ...tgn.streak };
+        game.winnerOfPreviousHand = tgn.dealerId; // The dealer is the previous winner
+        return game.startRound(tgn.seed) ? game : null;
+    },
+
+    /**
+     * Applies the next move of a loaded hand; false if it is illegal
+     */
+    applyMove(game, move) {
+        if (!this.isMove(move)) return false;
+        const event = { ...move, cardIds: Array.isArray(move.cardIds) ? move.cardIds : [] };
+        if (!game.applyEvent(event)) return false;
+
+        // A draw must produce the card the file says was drawn
+        const applied = game.events[game.events.length - 1];
+        return move.drawnCardId === undefined || move.drawnCardId === applied.drawnCardId;
+    },
+
+    /**
+     * A plain object naming one of the move types
+     */
+    isMove(move) {
+        return Boolean(move) && typeof move === 'object' && !Array.isArray(move) && MOVE_TYPES.includes(move.type);
+    },
+
+    /**
+     * Replays a whole TGN document, rejecting malformed files, illegal moves
+     * and results that don't follow from the moves.
+     * @returns {{ valid: boolean, error: string|null, game: GameSession|null }}
+     */
+    validate(tgn) {
+        const invalid = error => ({ valid: false, error, game: null });
+
+        const headerError = this.checkHeader(tgn);
+        if (headerError) return invalid(headerError);
+
+        const game = this.load(tgn);
+        if (!game) return invalid('The hand could not be dealt.');
+
+        if (tgn.deal) {
+            const dealt = game.players.every(p =>
+                JSON.stringify(tgn.deal[p.id]) === JSON.stringify(game.roundStart.hands[p.id]));
+            if (!dealt) return invalid('The deal does not match the seed.');
+        }
+
+        for (let i = 0; i < tgn.moves.length; i++) {
+            const move = tgn.moves[i];
+            if (!this.isMove(move)) return invalid(`Move ${i + 1} is not a move.`);
+            if (game.status !== 'playing') return invalid(`Move ${i + 1} (${move.type}) comes after the hand ended.`);
+            if (!this.applyMove(game, move)) return invalid(`Move ${i + 1} (${move.type}) is illegal.`);
+        }
+
+        if (tgn.result) {
+            if (game.status !== 'ended') return invalid('The file has a result but the hand is unfinished.');
+            const winnerId = results => (results.players.find(p => p.isWinner) || {}).id;
+            const chips = results => results.players.map(p => p.chips).join(',');
+            if (!Array.isArray(tgn.result.players) ||
+                tgn.result.type !== game.roundResults.type ||
+                winnerId(tgn.result) !== winnerId(game.roundResults) ||
+                chips(tgn.result) !== chips(game.roundResults)) {
+                return invalid('The result does not follow from the moves.');
+            }
+        }
+
+        return { valid: true, error: null, game };
+    },
+
+    /**
+     * Why a TGN document's header can't be used, or null if it is well formed
+     */
+    checkHeader(tgn) {
+        if (!tgn || tgn.format !== TGN_FORMAT) return 'Not a TGN file.';
+        if (tgn.version !== TGN_VERSION) return `Unsupported TGN version ${tgn.version}.`;
+        if (!isValidSeed(tgn.seed)) return 'Missing or invalid seed.';
+        if (!tgn.rules || typeof tgn.rules !== 'object') return 'Missing rules.';
+        if (!Array.isArray(tgn.players) || tgn.players.length !== 3) return 'A hand needs exactly 3 players.';
+        if (tgn.players.some(p => !p || typeof p.id !== 'string' || !Number.isInteger(p.chips))) return 'Invalid player entry.';
+        if (!tgn.players.some(p => p.id === tgn.dealerId)) return 'The dealer is not one of the players.';
+        if (!Number.isInteger(tgn.sidePot)) return 'Invalid side pot.';
+        if (!Array.isArray(tgn.moves)) return 'Missing move list.';
+        if (tgn.moves.length > MAX_TGN_MOVES) return `More than ${MAX_TGN_MOVES} moves: not a single hand.`;
+        return null;
+    }
+};
+
+module.exports = HandHistory;
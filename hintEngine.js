@@ -0,0 +1,158 @@
+/**
+ * Tongits Hint Engine
+ * Suggests moves to a human player from what that player can see, scored
+ * with the same GameUtils and BotAI helpers the bots use.
+ */
+const { GameUtils } = require('./gameEngine');
+const BotAI = require('./botAI');
+
+const HintEngine = {
+    /**
+     * Hints for the player's current decision. `gameState` must be serialized
+     * for that player (opponents' hands and secret sets hidden).
+     * Every suggestion carries a short reason and the deadwood it leaves.
+     * @returns {object|null} null when the player has nothing to decide
+     */
+    getHints(gameState, playerId) {
+        if (gameState.status !== 'playing') return null;
+        const me = gameState.players.find(p => p.id === playerId);
+        if (!me) return null;
+        const deadwood = GameUtils.calculateHandValue(me.hand);
+
+        if (gameState.phase === 'fight-response') {
+            if (gameState.fight.responses[playerId] !== null) return null;
+            return { phase: 'fight-response', deadwood, fight: this.fightHint(me, gameState, deadwood) };
+        }
+
+        if (gameState.players[gameState.turnIndex].id !== playerId) return null;
+        if (gameState.phase === 'draw') {
+            return { phase: 'draw', deadwood, draw: this.drawHint(me, gameState, deadwood) };
+        }
+
+        const partition = GameUtils.findBestMeldPartition(me.hand);
+        return {
+            phase: 'action',
+            deadwood,
+            tongit: this.tongitHint(me, gameState),
+            melds: this.meldHints(me, partition),
+            sapaws: this.sapawHints(me, gameState, partition),
+            discard: this.discardHint(me, partition)
+        };
+    },
+
+    /**
+     * Pick up the discard when it completes a meld without breaking a better one
+     */
+    drawHint(me, gameState, deadwood) {
+        const topCard = gameState.discardPile[gameState.discardPile.length - 1];
+        const meld = topCard && BotAI.findMeldWithCard(me.hand, topCard);
+        if (!meld) {
+            const reason = topCard ? `${label(topCard)} doesn't complete a meld with your cards` : 'The discard pile is empty';
+            return { action: 'draw-stock', reason, deadwood };
+        }
+
+        const handCards = meld.filter(c => c !== topCard);
+        const after = GameUtils.calculateHandValue(me.hand.filter(c => !handCards.includes(c)));
+        if (after > deadwood) {
+            return { action: 'draw-stock', reason: `Taking ${label(topCard)} would break up a better meld`, deadwood };
+        }
+        return {
+            action: 'draw-discard',
+            cardIds: handCards.map(c => c.id),
+            cards: handCards,
+            reason: `${label(topCard)} completes a ${meldKind(meld)} with ${handCards.map(label).join(' ')}`,
+            deadwood: after
+        };
+    },
+
+    tongitHint(me, gameState) {
+        const tongit = BotAI.findTongit(me, gameState);
+        if (!tongit) return null;
+        const reason = tongit.discardCardId === null
+            ? 'Your whole hand is melded'
+            : `Discard ${label(me.hand.find(c => c.id === tongit.discardCardId))} and the rest of your hand is melded`;
+        return { discardCardId: tongit.discardCardId, reason, deadwood: 0 };
+    },
+
+    /**
+     * The melds of the hand's best partition; exposing them keeps the same deadwood
+     */
+    meldHints(me, partition) {
+        return partition.melds.map(cards => ({
+            cardIds: cards.map(c => c.id),
+            cards,
+            reason: me.hasOpened
+                ? `Exposing this ${meldKind(cards)} shortens your hand toward Tongit`
+                : `Exposing this ${meldKind(cards)} opens your hand so you can't be burned`,
+            deadwood: partition.value
+        }));
+    },
+
+    /**
+     * Lay-offs of unmelded cards onto visible melds, best first, one per card
+     */
+    sapawHints(me, gameState, partition) {
+        const hints = [];
+        partition.deadwood.forEach(card => {
+            for (const owner of gameState.players) {
+                const meldIndex = owner.exposedMelds.findIndex(m => !m.isSecret && GameUtils.canLayOff(card, m.cards));
+                if (meldIndex === -1) continue;
+
+                const onOwnMeld = owner.id === me.id;
+                hints.push({
+                    targetPlayerId: owner.id,
+                    meldIndex,
+                    cardId: card.id,
+                    cards: [card],
+                    reason: onOwnMeld
+                        ? `Lays off ${label(card)} on your own meld (you can't call a fight next turn)`
+                        : `Lays off ${label(card)} on ${owner.name}'s meld`,
+                    deadwood: GameUtils.calculateHandValue(me.hand.filter(c => c !== card))
+                });
+                break;
+            }
+        });
+        return hints.sort((a, b) => a.deadwood - b.deadwood);
+    },
+
+    /**
+     * The discard that leaves the least deadwood; ties shed the higher card
+     */
+    discardHint(me, partition) {
+        let best = null;
+        me.hand.forEach(card => {
+            const deadwood = GameUtils.calculateHandValue(me.hand.filter(c => c !== card));
+            if (!best || deadwood < best.deadwood ||
+                (deadwood === best.deadwood && BotAI.cardValue(card) > BotAI.cardValue(best.card))) {
+                best = { card, deadwood };
+            }
+        });
+        if (!best) return null;
+
+        const reason = partition.deadwood.includes(best.card)
+            ? `${label(best.card)} is your costliest unmelded card`
+            : `Every card is melded; ${label(best.card)} costs the least to break up`;
+        return { cardId: best.card.id, cards: [best.card], reason, deadwood: best.deadwood };
+    },
+
+    /**
+     * Answer a fight call the way the medium bot would: it only sees its own hand
+     */
+    fightHint(me, gameState, deadwood) {
+        const response = BotAI.getFightResponse({ ...me, difficulty: 'medium' }, gameState);
+        const reason = response === 'challenge'
+            ? `${deadwood} points is low enough to beat most fight calls`
+            : `Fight callers usually hold very few points; ${deadwood} is likely too many`;
+        return { response, reason, deadwood };
+    }
+};
+
+function label(card) {
+    return `${card.rank}${card.suit}`;
+}
+
+function meldKind(cards) {
+    return GameUtils.isSet(cards) ? 'set' : 'run';
+}
+
+module.exports = HintEngine;
@@ -0,0 +1,230 @@
+/**
+ * Tongits Monte Carlo Search
+ * How the expert bot picks a move. It deals the cards its seat hasn't seen
+ * at random (consistent with its card memory), plays the round out from
+ * every candidate move with a fast policy for all three seats, and keeps
+ * the move with the best average chip result. Only the seat's own view of
+ * the game is used.
+ */
+const { GameUtils, createSeededRandom } = require('./gameEngine');
+const { GameSession } = require('./gameState');
+
+const PLAYOUT_STEP_LIMIT = 500; // Safety net: a round runs out of stock long before this
+const PLAYOUT_CHALLENGE_POINTS = 8; // The playout policy challenges a fight at or under this
+
+const MonteCarlo = {
+    /**
+     * The expert's move in BotAI.getAction's format, or null when the view
+     * can't be searched. `budget` is { iterations }: the playouts to run.
+     * The search runs them all, however long they take, so the same view,
+     * memory and stream always give the same move.
+     */
+    chooseAction(player, gameState, memory, random, budget) {
+        const candidates = this.candidates(player, gameState);
+        if (candidates.length === 1) return candidates[0];
+        return this.search(player, gameState, memory, random, budget, candidates);
+    },
+
+    /**
+     * 'fold' or 'challenge' for a pending fight call, or null when the view can't be searched
+     */
+    chooseFightResponse(player, gameState, memory, random, budget) {
+        return this.search(player, gameState, memory, random, budget, ['fold', 'challenge']);
+    },
+
+    /**
+     * The moves worth comparing for this decision. A Tongit is never worth
+     * comparing: it is taken at once.
+     */
+    candidates(player, gameState) {
+        const me = gameState.players.find(p => p.id === player.id);
+
+        if (gameState.phase === 'draw') {
+            const moves = ['draw-stock'];
+            const topCard = gameState.discardPile[gameState.discardPile.length - 1];
+            if (topCard && this.meldWithCard(player.hand, topCard)) moves.push('draw-discard');
+            if (player.hasOpened && !me.fightBlockReason) moves.push('fight');
+            return moves;
+        }
+
+        const tongit = me.tongitOptions;
+        if (tongit && tongit.withoutDiscard) return [{ action: 'tongit', discardCardId: null }];
+        if (tongit && tongit.discardCardIds.length > 0) return [{ action: 'tongit', discardCardId: tongit.discardCardIds[0] }];
+
+        const moves = GameUtils.findAllMelds(player.hand).map(meld => ({ action: 'expose', cardIds: meld.map(c => c.id) }));
+        gameState.players.forEach(owner => owner.exposedMelds.forEach((meld, meldIndex) => {
+            if (meld.isSecret) return;
+            player.hand.forEach(card => {
+                if (GameUtils.canLayOff(card, meld.cards)) {
+                    moves.push({ action: 'sapaw', targetPlayerId: owner.id, meldIndex, cardId: card.id });
+                }
+            });
+        }));
+        player.hand.forEach(card => moves.push({ action: 'discard', cardId: card.id }));
+        return moves;
+    },
+
+    /**
+     * Plays every candidate out on the same sampled deals until the budget
+     * is spent (at least one deal each) and returns the best on average.
+     * No more deals are sampled than the budget, even if no candidate is
+     * legal in them.
+     * One number from the round's stream seeds the whole search, so the
+     * round's stream doesn't depend on the budget.
+     */
+    search(player, gameState, memory, random, budget, candidates) {
+        const searchRandom = createSeededRandom(Math.floor(random() * 0x100000000));
+        const startChips = gameState.players.find(p => p.id === player.id).chips;
+        const totals = candidates.map(() => ({ chips: 0, playouts: 0 }));
+
+        let playouts = 0;
+        let worlds = 0;
+        do {
+            const world = this.sampleWorld(player, gameState, memory, searchRandom);
+            if (!world) return null;
+            const playoutSeed = Math.floor(searchRandom() * 0x100000000);
+
+            candidates.forEach((move, i) => {
+                const trial = world.cloneForTrial();
+                if (!this.applyMove(trial, player.id, move)) return;
+                this.playOut(trial, createSeededRandom(playoutSeed));
+                totals[i].chips += trial.players.find(p => p.id === player.id).chips - startChips;
+                totals[i].playouts++;
+                playouts++;
+            });
+            worlds++;
+        } while (playouts < budget.iterations && worlds < budget.iterations);
+
+        let best = null;
+        totals.forEach((total, i) => {
+            if (total.playouts === 0) return; // Not legal in any sampled deal
+            const average = total.chips / total.playouts;
+            if (best === null || average > best.average) best = { move: candidates[i], average };
+        });
+        return best && best.move;
+    },
+
+    /**
+     * A possible version of the game: the seat's unseen cards shuffled and
+     * dealt into opponents' hands, their face-down sets and the stock.
+     * Cards an opponent was seen taking back go to that opponent.
+     * @returns {GameSession|null} null if the memory doesn't add up to the table
+     */
+    sampleWorld(player, gameState, memory, random) {
+        const pool = memory.unseenCards(player.hand);
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+
+        const opponents = gameState.players.filter(p => p.id !== player.id);
+        const secretSets = {};
+        opponents.forEach(p => {
+            secretSets[p.id] = p.exposedMelds.filter(m => m.cardCount !== undefined).map(m => this.takeSet(pool, m.cardCount));
+        });
+
+        const hands = {};
+        for (const p of opponents) {
+            const known = (memory.known[p.id] || []).slice(0, p.handCount);
+            const dealt = pool.splice(0, p.handCount - known.length);
+            if (dealt.length !== p.handCount - known.length) return null;
+            hands[p.id] = [...known, ...dealt];
+        }
+        if (pool.length !== gameState.stockCount) return null;
+
+        return GameSession.fromSeatView(gameState, { hands, secretSets, stock: pool });
+    },
+
+    /**
+     * Takes a face-down set out of the pool: a rank with enough unseen cards
+     * if there is one, otherwise any cards
+     */
+    takeSet(pool, size) {
+        const rank = pool.map(c => c.rank).find(r => pool.filter(c => c.rank === r).length >= size);
+        const cards = rank ? pool.filter(c => c.rank === rank).slice(0, size) : pool.slice(0, size);
+        cards.forEach(card => pool.splice(pool.indexOf(card), 1));
+        return cards;
+    },
+
+    applyMove(game, playerId, move) {
+        if (move === 'fight') return game.callFight(playerId);
+        if (move === 'draw-stock') return game.drawFromStock(playerId);
+        if (move === 'draw-discard') return this.drawDiscard(game, playerId);
+        if (move === 'fold' || move === 'challenge') return game.respondToFight(playerId, move);
+
+        switch (move.action) {
+            case 'expose': return game.exposeMeld(playerId, move.cardIds);
+            case 'sapaw': return game.sapaw(playerId, move.targetPlayerId, move.meldIndex, move.cardId);
+            case 'discard': return game.discard(playerId, move.cardId);
+            case 'tongit': return game.callTongit(playerId, move.discardCardId);
+            default: return false;
+        }
+    },
+
+    /**
+     * Fast policy for every seat until the round ends: take a discard that
+     * melds, expose and sapaw greedily, throw the highest unmelded card and
+     * challenge fights only with very few points. Never calls a fight.
+     */
+    playOut(game, random) {
+        for (let step = 0; game.status === 'playing' && step < PLAYOUT_STEP_LIMIT; step++) {
+            if (game.phase === 'fight-response') {
+                const responder = game.getPendingFightResponders()[0];
+                const points = GameUtils.calculateHandValue(responder.hand);
+                game.respondToFight(responder.id, points <= PLAYOUT_CHALLENGE_POINTS ? 'challenge' : 'fold');
+                continue;
+            }
+
+            const player = game.getCurrentPlayer();
+            if (game.phase === 'draw') {
+                if (!this.drawDiscard(game, player.id)) game.drawFromStock(player.id);
+                continue;
+            }
+
+            const meld = GameUtils.findAllMelds(player.hand)[0];
+            if (meld && game.exposeMeld(player.id, meld.map(c => c.id))) continue;
+            if (this.playOutSapaw(game, player)) continue;
+            game.discard(player.id, this.playOutDiscard(player.hand, random).id);
+        }
+    },
+
+    playOutSapaw(game, player) {
+        for (const owner of game.players) {
+            for (let meldIndex = 0; meldIndex < owner.exposedMelds.length; meldIndex++) {
+                const meld = owner.exposedMelds[meldIndex];
+                if (meld.isSecret) continue;
+                const card = player.hand.find(c => GameUtils.canLayOff(c, meld.cards));
+                if (card) return game.sapaw(player.id, owner.id, meldIndex, card.id);
+            }
+        }
+        return false;
+    },
+
+    /**
+     * The highest card outside every possible meld, ties broken at random
+     */
+    playOutDiscard(hand, random) {
+        const melded = new Set(GameUtils.findAllMelds(hand).flat());
+        const loose = hand.filter(c => !melded.has(c));
+        const options = loose.length > 0 ? loose : hand;
+        const top = Math.max(...options.map(c => c.value));
+        const highest = options.filter(c => c.value === top);
+        return highest[Math.floor(random() * highest.length)];
+    },
+
+    drawDiscard(game, playerId) {
+        const topCard = game.discardPile[game.discardPile.length - 1];
+        const meld = topCard && this.meldWithCard(game.getCurrentPlayer().hand, topCard);
+        return Boolean(meld) && game.drawFromDiscard(playerId, meld.filter(c => c !== topCard).map(c => c.id));
+    },
+
+    /**
+     * The largest meld the card makes with the hand, or null
+     */
+    meldWithCard(hand, card) {
+        const melds = GameUtils.findAllMelds([...hand, card]).filter(m => m.includes(card));
+        return melds.reduce((best, meld) => (!best || meld.length > best.length ? meld : best), null);
+    }
+};
+
+module.exports = MonteCarlo;
@@ -0,0 +1,142 @@
+/**
+ * Tongits Opponent Model
+ * What a bot's seat learns about each opponent over a match, from the same
+ * seat-legal event stream as its CardTracker: how often they call fights,
+ * answer them, open late, sapaw and take from the discard pile.
+ */
+
+const MIN_TURNS = 5; // Turns seen before a rate is trusted over the typical player's
+const MIN_RESPONSES = 2; // Fight answers seen before a challenge rate is trusted
+const MIN_OPENINGS = 2; // Rounds seen opening before an opening habit is trusted
+
+// A typical player, assumed until an opponent shows otherwise
+const TYPICAL = {
+    fightCallRate: 0.03, // Fights called per turn
+    challengeRate: 0.5, // Share of fight calls challenged
+    openingTurn: 3, // The player's own turn of the round on which they first open
+    sapawRate: 0.15, // Sapaws per turn
+    pickupRate: 0.15 // Discard pile pickups per turn
+};
+
+// Counts over the match for one opponent
+function emptyProfile() {
+    return { turns: 0, fightCalls: 0, challenges: 0, folds: 0, openingTurns: [], sapaws: 0, pickups: 0 };
+}
+
+class OpponentModel {
+    constructor(playerId) {
+        this.playerId = playerId;
+        this.resetMatch();
+    }
+
+    resetMatch() {
+        this.profiles = {}; // playerId -> counts over the match (see emptyProfile)
+        this.resetRound();
+    }
+
+    resetRound() {
+        this.roundTurns = {}; // playerId -> turns taken this round
+        this.opened = new Set(); // Players who have opened this round
+    }
+
+    profile(playerId) {
+        if (!this.profiles[playerId]) this.profiles[playerId] = emptyProfile();
+        return this.profiles[playerId];
+    }
+
+    apply(event) {
+        if (event.type === 'start-match') return this.resetMatch();
+        if (event.type === 'start-round' || event.type === 'next-round') return this.resetRound();
+
+        const id = event.actorId;
+        if (!id || id === this.playerId) return;
+        const profile = this.profile(id);
+
+        switch (event.type) {
+            case 'draw-discard':
+                profile.pickups++;
+            // Fall through: a pickup is also the turn's draw and opens the hand
+            case 'draw-stock':
+                profile.turns++;
+                this.roundTurns[id] = (this.roundTurns[id] || 0) + 1;
+                if (event.type === 'draw-discard') this.noteOpening(id, profile);
+                break;
+            case 'expose-meld':
+            case 'expose-secret-set':
+                this.noteOpening(id, profile);
+                break;
+            case 'sapaw':
+                profile.sapaws++;
+                break;
+            case 'call-fight':
+                profile.fightCalls++;
+                break;
+            case 'fight-response':
+                if (event.response === 'challenge') profile.challenges++;
+                else profile.folds++;
+                break;
+        }
+    }
+
+    noteOpening(playerId, profile) {
+        if (this.opened.has(playerId)) return;
+        this.opened.add(playerId);
+        profile.openingTurns.push(this.roundTurns[playerId] || 0); // The dealer can open before drawing
+    }
+
+    /**
+     * The opponent's habits, each the typical player's until enough is seen
+     */
+    habits(playerId) {
+        const p = this.profiles[playerId] || emptyProfile();
+        const responses = p.challenges + p.folds;
+        const rate = (count, typical) => p.turns >= MIN_TURNS ? count / p.turns : typical;
+        return {
+            fightCallRate: rate(p.fightCalls, TYPICAL.fightCallRate),
+            challengeRate: responses >= MIN_RESPONSES ? p.challenges / responses : TYPICAL.challengeRate,
+            openingTurn: p.openingTurns.length >= MIN_OPENINGS
+                ? p.openingTurns.reduce((sum, t) => sum + t, 0) / p.openingTurns.length
+                : TYPICAL.openingTurn,
+            sapawRate: rate(p.sapaws, TYPICAL.sapawRate),
+            pickupRate: rate(p.pickups, TYPICAL.pickupRate)
+        };
+    }
+
+    /**
+     * 0 for a player who calls fights no more often than typical, rising to 1
+     * for one who calls them three times as often
+     */
+    aggression(playerId) {
+        const ratio = this.habits(playerId).fightCallRate / TYPICAL.fightCallRate;
+        return Math.min(1, Math.max(0, (ratio - 1) / 2));
+    }
+
+    /**
+     * How much an opponent's discard pickups should weigh against a discard:
+     * 1 for a typical player, between 0.5 and 2 otherwise
+     */
+    pickupWeight(playerId) {
+        return Math.min(2, Math.max(0.5, this.habits(playerId).pickupRate / TYPICAL.pickupRate));
+    }
+
+    /**
+     * What the seat has learned about each opponent, for debugging
+     */
+    summary() {
+        return Object.keys(this.profiles).map(playerId => {
+            const p = this.profiles[playerId];
+            const habits = this.habits(playerId);
+            const notes = [];
+            if (habits.fightCallRate > 2 * TYPICAL.fightCallRate) notes.push('calls fights aggressively');
+            if (habits.challengeRate >= 0.75) notes.push('challenges most fights');
+            if (habits.challengeRate <= 0.25) notes.push('folds to fights');
+            if (habits.openingTurn >= TYPICAL.openingTurn + 2) notes.push('holds melds back');
+            if (habits.openingTurn <= TYPICAL.openingTurn - 2) notes.push('opens early');
+            if (habits.sapawRate > 2 * TYPICAL.sapawRate) notes.push('sapaws a lot');
+            if (habits.pickupRate > 2 * TYPICAL.pickupRate) notes.push('takes discards often');
+            return { playerId, turns: p.turns, habits, notes };
+        });
+    }
+}
+
+module.exports = OpponentModel;
@@ -14,6 +14,7 @@
  * 6. UI RENDERING FUNCTIONS
  * 7. EVENT HANDLERS & LISTENERS
  * 8. MODAL & OVERLAY FUNCTIONS
+ * 9. REPLAY MODE
  * ============================================================================
  */
 
@@ -28,6 +29,24 @@ const RANK_VALUES = {
 };
 const GROUP_COLORS = ['#ff5252', '#448aff', '#4caf50', '#ffeb3b', '#e040fb', '#18ffff'];
 
+// House rules the host can customise (mirrors gameRules.js)
+const RULE_FIELDS = [
+    { key: 'ante', label: 'Ante per round', type: 'number' },
+    { key: 'startingChips', label: 'Starting chips', type: 'number' },
+    { key: 'basePayment', label: 'Base payment', type: 'number' },
+    { key: 'tongitMultiplier', label: 'Tongit multiplier', type: 'number' },
+    { key: 'fightMultiplier', label: 'Challenged fight multiplier', type: 'number' },
+    { key: 'burnedPenalty', label: 'Burned penalty', type: 'number' },
+    { key: 'secretSetBonus', label: 'Secret set bonus', type: 'number' },
+    { key: 'handSize', label: 'Hand size', type: 'number' },
+    { key: 'aceBonus', label: 'Ace bonus', type: 'checkbox' },
+    { key: 'allowSecretSets', label: 'Allow secret sets', type: 'checkbox' },
+    { key: 'allowUndo', label: 'Allow undo before discarding', type: 'checkbox' },
+    { key: 'turnSeconds', label: 'Turn clock (seconds, 0 = off)', type: 'number' },
+    { key: 'allowHints', label: 'Allow hints', type: 'checkbox' },
+    { key: 'botSearchIterations', label: 'Expert bot playouts per move', type: 'number' }
+];
+
 // ============================================================================
 // 2. DOM ELEMENT REFERENCES
 // ============================================================================
@@ -44,13 +63,26 @@ const hostControls = document.getElementById('host-controls');
 const addBotBtn = document.getElementById('add-bot-btn');
 const startGameBtn = document.getElementById('start-game-btn');
 const botDifficulty = document.getElementById('bot-difficulty');
+const matchEndCondition = document.getElementById('match-end-condition');
+const matchTarget = document.getElementById('match-target');
+const roundSeedInput = document.getElementById('round-seed');
+const rulesPreset = document.getElementById('rules-preset');
+const rulesFields = document.getElementById('rules-fields');
 
 // Game Control Buttons
 const sortBtn = document.getElementById('sort-btn');
 const groupBtn = document.getElementById('group-btn');
 const fightBtn = document.getElementById('fight-btn');
+const foldBtn = document.getElementById('fold-btn');
+const challengeBtn = document.getElementById('challenge-btn');
 const exposeBtn = document.getElementById('expose-btn');
+const secretBtn = document.getElementById('secret-btn');
+const tongitBtn = document.getElementById('tongit-btn');
+const undoBtn = document.getElementById('undo-btn');
+const backBtn = document.getElementById('back-btn');
 const suggestBtn = document.getElementById('suggest-btn');
+const rulesBtn = document.getElementById('rules-btn');
+const replaysBtn = document.getElementById('replays-btn');
 const drawStockBtn = document.getElementById('draw-stock-btn');
 const drawDiscardBtn = document.getElementById('draw-discard-btn');
 const discardBtn = document.getElementById('discard-btn');
@@ -74,19 +106,43 @@ const sortToggleBtn = document.getElementById('sort-toggle-btn');
 const sortModeText = document.getElementById('sort-mode-text');
 const discardCardGrid = document.getElementById('discard-card-grid');
 
+// Replay Elements
+const replayBar = document.getElementById('replay-bar');
+const replayStepLabel = document.getElementById('replay-step');
+const replayPlayBtn = document.getElementById('replay-play-btn');
+const replaySpeed = document.getElementById('replay-speed');
+const replayPickerOverlay = document.getElementById('replay-picker-overlay');
+const replayHandList = document.getElementById('replay-hand-list');
+const replayFileInput = document.getElementById('replay-file');
+
+// Daily Challenge Elements
+const dailyBtn = document.getElementById('daily-btn');
+const dailyResultsBtn = document.getElementById('daily-results-btn');
+const dailyResultsOverlay = document.getElementById('daily-results-overlay');
+const dailyResultsTitle = document.getElementById('daily-results-title');
+const dailyResultsList = document.getElementById('daily-results-list');
+
 // ============================================================================
 // 3. GAME STATE VARIABLES
 // ============================================================================
 
 let myId = null;
 let currentGameState = null;
-let myCards = [];           // Local hand: { rank, suit, groupId }
-let selectedCards = new Set();
+let myCards = [];           // Local hand: { id, rank, suit, groupId }
+let selectedCards = new Set(); // Ids of the selected cards
 let nextGroupId = 1;
 let sortMode = 'rank';
 let suggestionsEnabled = true;
+let currentHint = null;     // Server hints for the decision in front of me (see requestHint)
+let hintKey = null;         // The decision hints were last requested for
+let hintRequests = [];      // Keys of hint requests awaiting an answer, oldest first
 let isSortedBySuit = false;
-let lastDrawnCard = null;   // Track the most recently drawn card for glow effect
+let lastDrawnCardId = null; // Track the most recently drawn card for glow effect
+let hostId = null;          // Host controls match settings and the next round
+let activeRules = null;     // House rules the room plays by
+let turnClockTimer = null;  // Ticks the turn clock countdown (see renderTurnClock)
+let dailyDate = null;       // Date of the daily deal being played, if this is a daily table
+let replay = null;          // Replay being watched: { frames, logs, step, decisiveStep, timer, saved, liveState, freshDeal }
 
 // Room ID from URL
 const urlParams = new URLSearchParams(window.location.search);
@@ -111,6 +167,9 @@ socket.on('connect', () => {
 
 socket.on('join-success', (data) => {
     myId = data.playerId;
+    // A daily deal is played at a table of its own
+    if (data.roomId) roomId = data.roomId;
+    dailyDate = data.daily || null;
 });
 
 socket.on('join-fail', (data) => {
@@ -140,20 +199,65 @@ socket.on('lobby-update', (data) => {
         addBotBtn.disabled = data.players.length >= 3;
         startGameBtn.disabled = data.players.length !== 3;
     }
+
+    hostId = data.hostId;
+    renderMatchConfig(data.matchConfig);
+    renderRulesConfig(data.rules, data.rulePresets);
+    renderBotChoices(data.botStrategies);
+    roundSeedInput.classList.toggle('hidden', !isHost());
 });
 
 // --- Game Events ---
 
 socket.on('game-started', (data) => {
+    // Hold live play back until the replay is closed
+    if (replay) {
+        replay.liveState = data.gameState;
+        replay.freshDeal = true;
+        return;
+    }
+
     lobbyScreen.classList.add('hidden');
     gameScreen.classList.remove('hidden');
+
+    // Fresh deal: drop the previous round's local hand and selection
+    myCards = [];
+    selectedCards.clear();
+    lastDrawnCardId = null;
     renderGameState(data.gameState);
 });
 
 socket.on('game-update', (data) => {
+    if (replay) {
+        replay.liveState = data.gameState;
+        return;
+    }
     renderGameState(data.gameState);
 });
 
+socket.on('turn-rejected', (data) => alert(data.message));
+
+socket.on('daily-results', (data) => renderDailyResults(data));
+
+// --- Replay Events ---
+
+socket.on('hand-list', (hands) => renderHandList(hands));
+
+socket.on('replay-data', (data) => startReplay(data));
+
+socket.on('replay-error', (data) => alert(data.message));
+
+// --- Hint Events ---
+
+socket.on('hint', (data) => {
+    // Answers arrive in request order; ignore any for a decision already made
+    if (hintRequests.shift() !== hintKey || !currentGameState) return;
+    currentHint = data.hint;
+    renderGameLog(currentGameState, isMyTurn());
+    renderFightPrompt(currentGameState, currentGameState.players.find(p => p.id === myId));
+    renderHintHighlights();
+});
+
 // ============================================================================
 // 5. GAME LOGIC UTILITIES
 // ============================================================================
@@ -162,7 +266,16 @@ socket.on('game-update', (data) => {
  * Check if it's currently the local player's turn
  */
 function isMyTurn() {
-    return currentGameState && currentGameState.players[currentGameState.turnIndex].id === myId;
+    if (replay || !currentGameState) return false;
+    const current = currentGameState.players[currentGameState.turnIndex];
+    return current.id === myId && !current.isAway; // A bot plays an away player's turns
+}
+
+/**
+ * Check if the local player is the room host
+ */
+function isHost() {
+    return myId !== null && myId === hostId;
 }
 
 /**
@@ -173,20 +286,17 @@ function canDraw() {
 }
 
 /**
- * Map local card indices to server-side indices
+ * Local hand cards for a list of card ids, in hand order
  */
-function mapLocalToSvrIdx(localIndices, localHand, svrHand) {
-    const selectedHandCards = localIndices.map(i => localHand[i]);
-    const serverIndexes = [];
-    const tempHand = [...svrHand];
-    selectedHandCards.forEach(card => {
-        const idx = tempHand.findIndex(c => c && c.rank === card.rank && c.suit === card.suit);
-        if (idx !== -1) {
-            serverIndexes.push(idx);
-            tempHand[idx] = null;
-        }
-    });
-    return serverIndexes;
+function cardsById(cardIds) {
+    return myCards.filter(c => cardIds.includes(c.id));
+}
+
+/**
+ * Ids of the cards in a local group, in hand order
+ */
+function groupCardIds(groupId) {
+    return myCards.filter(c => c.groupId === groupId).map(c => c.id);
 }
 
 /**
@@ -224,43 +334,24 @@ function isRun(cards) {
 }
 
 /**
- * Calculate total points in hand (excluding valid grouped melds)
+ * Check if cards can be laid down as a secret set (exactly 4 of the same rank)
  */
-function calculateHandPoints(cards) {
-    const meldedCardIndices = new Set();
-    const groupMap = {};
-
-    cards.forEach((c, i) => {
-        if (c.groupId) {
-            if (!groupMap[c.groupId]) groupMap[c.groupId] = [];
-            groupMap[c.groupId].push({ ...c, index: i });
-        }
-    });
-
-    for (const gid in groupMap) {
-        if (validateMeld(groupMap[gid])) {
-            groupMap[gid].forEach(c => meldedCardIndices.add(c.index));
-        }
-    }
-
-    return cards.reduce((sum, card, idx) => {
-        if (meldedCardIndices.has(idx)) return sum;
-        return sum + (RANK_VALUES[card.rank] || 0);
-    }, 0);
+function isSecretSet(cards) {
+    return cards.length === 4 && isSet(cards);
 }
 
 /**
- * Find matching melds for a discard card
+ * Find matching melds for a discard card (as lists of hand card ids)
  */
 function findMatches(hand, card) {
     const matches = [];
 
     // Sets (same rank)
-    const sameRankIndices = hand.map((c, i) => c.rank === card.rank ? i : -1).filter(i => i !== -1);
-    if (sameRankIndices.length >= 2) matches.push(sameRankIndices);
+    const sameRankIds = hand.filter(c => c.rank === card.rank).map(c => c.id);
+    if (sameRankIds.length >= 2) matches.push(sameRankIds);
 
     // Runs (sequential ranks, same suit)
-    const sameSuit = hand.map((c, i) => c.suit === card.suit ? { idx: i, rIdx: RANKS.indexOf(c.rank) } : null).filter(x => x);
+    const sameSuit = hand.filter(c => c.suit === card.suit).map(c => ({ id: c.id, rIdx: RANKS.indexOf(c.rank) }));
     const cardRIdx = RANKS.indexOf(card.rank);
 
     const nearRanks = sameSuit.filter(x => Math.abs(x.rIdx - cardRIdx) <= 2);
@@ -269,7 +360,7 @@ function findMatches(hand, card) {
         for (let i = 0; i <= rIndices.length - 3; i++) {
             if (rIndices[i + 1] === rIndices[i] + 1 && rIndices[i + 2] === rIndices[i + 1] + 1) {
                 if ([rIndices[i], rIndices[i + 1], rIndices[i + 2]].includes(cardRIdx)) {
-                    const matchIdx = nearRanks.filter(x => [rIndices[i], rIndices[i + 1], rIndices[i + 2]].includes(x.rIdx) && x.rIdx !== cardRIdx).map(x => x.idx);
+                    const matchIdx = nearRanks.filter(x => [rIndices[i], rIndices[i + 1], rIndices[i + 2]].includes(x.rIdx) && x.rIdx !== cardRIdx).map(x => x.id);
                     matches.push(matchIdx);
                 }
             }
@@ -318,25 +409,34 @@ function renderGameState(state) {
     stockCount.innerText = state.stockCount;
     sidePotCount.innerText = `$${state.sidePot.toLocaleString()}`;
 
-    // Update personal score
+    // Update personal score (server's best meld partition of the hand)
     if (myScoreEl) {
-        const points = calculateHandPoints(myCards);
-        myScoreEl.innerText = `Points: ${points}`;
+        myScoreEl.innerText = `Points: ${me.handValue}`;
     }
 
-    // Handle game over - show Play Again button AND score modal
-    const playAgainBtn = document.getElementById('play-again-btn');
+    // Handle game over - show Next Round button (host) AND score modal
+    hostId = state.hostId;
+    activeRules = state.rules;
+    secretBtn.classList.toggle('hidden', !activeRules.allowSecretSets);
+    undoBtn.classList.toggle('hidden', !activeRules.allowUndo);
+    const nextRoundBtn = document.getElementById('next-round-btn');
+    const nextRoundSeed = document.getElementById('next-round-seed');
     const overlay = document.getElementById('game-over-overlay') || createGameOverOverlay();
-    if (state.status === 'ended' && state.roundResults) {
+    const matchOver = !replay && !!(state.match && state.match.over);
+    if (state.status === 'ended' && state.roundResults && !replay) {
         gameScreen.classList.add('game-ended');  // Trigger CSS to show opponent hands
-        playAgainBtn.classList.remove('hidden');
+        nextRoundBtn.classList.toggle('hidden', !isHost() || matchOver);
+        nextRoundSeed.classList.toggle('hidden', !isHost() || matchOver);
         overlay.classList.remove('hidden');
         renderResults(overlay, state.roundResults);
     } else {
         gameScreen.classList.remove('game-ended');
-        playAgainBtn.classList.add('hidden');
+        nextRoundBtn.classList.add('hidden');
+        nextRoundSeed.classList.add('hidden');
         overlay.classList.add('hidden');
     }
+    if (replay) gameScreen.classList.add('game-ended'); // Every hand face-up
+    renderMatchSummary(matchOver ? state.match : null);
 
     // Update discard pile
     renderDiscardPile(state);
@@ -346,14 +446,23 @@ function renderGameState(state) {
     renderHand(myCards);
 
     // Update control buttons
-    const myTurn = state.players[state.turnIndex].id === myId;
+    const myTurn = isMyTurn();
     updateControlButtons(myTurn, state);
 
     // Update game log
+    requestHint(state, me);
     renderGameLog(state, myTurn);
+    renderHintHighlights();
 
     // Handle expose zones and fight button
     renderExposeZones(myTurn, state, me);
+    renderTongitButton(me);
+    undoBtn.disabled = !myTurn || !me.canUndo;
+    backBtn.classList.toggle('hidden', !me.isAway || !!replay);
+    renderTurnClock(state);
+
+    // Fold/Challenge prompt when someone else calls a fight
+    renderFightPrompt(state, me);
 }
 
 /**
@@ -390,24 +499,20 @@ function syncHand(serverHand) {
     // This prevents false glow on initial deal when myCards goes from 0 to 12
     if (serverHand.length > myCards.length && myCards.length > 0 && (serverHand.length - myCards.length) === 1) {
         // Find the new card - compare server hand with local hand
-        const localCardKeys = new Set(myCards.map(c => `${c.rank}-${c.suit}`));
-        for (const card of serverHand) {
-            const key = `${card.rank}-${card.suit}`;
-            if (!localCardKeys.has(key)) {
-                lastDrawnCard = { rank: card.rank, suit: card.suit };
-                break; // Only track the first new card
-            }
-        }
+        const localIds = new Set(myCards.map(c => c.id));
+        const newCard = serverHand.find(c => !localIds.has(c.id));
+        if (newCard) lastDrawnCardId = newCard.id;
     }
 
     if (myCards.length !== serverHand.length) {
-        const oldGroups = myCards.map(c => ({ rank: c.rank, suit: c.suit, gid: c.groupId }));
-        myCards = serverHand.map(c => {
-            const old = oldGroups.find(og => og.rank === c.rank && og.suit === c.suit);
-            return { ...c, groupId: old ? old.gid : null };
-        });
+        const oldGroups = new Map(myCards.map(c => [c.id, c.groupId]));
+        myCards = serverHand.map(c => ({ ...c, groupId: oldGroups.get(c.id) || null }));
         applySort();
     }
+
+    // Drop selections of cards that have left the hand
+    const handIds = new Set(myCards.map(c => c.id));
+    selectedCards.forEach(id => { if (!handIds.has(id)) selectedCards.delete(id); });
 }
 
 /**
@@ -418,18 +523,30 @@ function updateControlButtons(myTurn, state) {
     drawDiscardBtn.disabled = !myTurn || state.phase !== 'draw' || state.discardPile.length === 0;
     discardBtn.disabled = !myTurn || state.phase !== 'action' || selectedCards.size !== 1;
     exposeBtn.disabled = !myTurn || state.phase !== 'action' || selectedCards.size < 3;
+    secretBtn.disabled = !myTurn || state.phase !== 'action' || !isSecretSet(cardsById(Array.from(selectedCards)));
 }
 
 /**
  * Render game log with hints
  */
 function renderGameLog(state, myTurn) {
+    if (replay) return renderReplayLog();
+
     gameLog.innerHTML = state.logs.map(l => `<div>[${l.time}] ${l.message}</div>`).join('');
 
+    if (state.status === 'ended' && state.match && !state.match.over && !isHost()) {
+        gameLog.innerHTML += `<div class="hint" style="color:var(--accent-gold); font-weight:bold; padding: 5px 0;">⏳ Waiting for the host to start the next round...</div>`;
+    }
+
+    const me = state.players.find(p => p.id === myId);
+    if (me && me.isAway && state.status === 'playing') {
+        gameLog.innerHTML += `<div class="hint" style="color:var(--accent-gold); font-weight:bold; padding: 5px 0;">🤖 A bot is playing for you. Click I'm Back to take your seat again.</div>`;
+    }
+
     if (myTurn && state.phase === 'draw') {
         gameLog.innerHTML += `<div class="hint" style="color:var(--accent-gold); font-weight:bold; padding: 5px 0;">💡 Click Deck or Discard to Draw.</div>`;
         const topDiscard = state.discardPile[state.discardPile.length - 1];
-        highlightMatches(topDiscard);
+        if (suggestionsEnabled) highlightMatches(topDiscard);
     } else if (myTurn && state.phase === 'action') {
         if (selectedCards.size === 0) {
             gameLog.innerHTML += `<div class="hint" style="color:var(--accent-gold); font-weight:bold; padding: 5px 0;">💡 Select card to Discard or Expose.</div>`;
@@ -437,10 +554,64 @@ function renderGameLog(state, myTurn) {
             gameLog.innerHTML += `<div class="hint" style="color:var(--accent-gold); font-weight:bold; padding: 5px 0;">💡 Click Discard Pile to discard.</div>`;
         }
     }
+    if (currentHint) gameLog.innerHTML += renderHintLines(currentHint);
 
     gameLog.scrollTop = gameLog.scrollHeight;
 }
 
+/**
+ * Ask the server for hints whenever a new decision is up to me (Sug ON and
+ * hints allowed in the room)
+ */
+function requestHint(state, me) {
+    const awaitingFight = state.phase === 'fight-response' && state.fight && state.fight.responses[myId] === null;
+    const deciding = suggestionsEnabled && activeRules.allowHints && !replay && !me.isAway &&
+        state.status === 'playing' && (isMyTurn() || awaitingFight);
+    const key = deciding ? `${state.turnIndex}:${state.phase}:${me.hand.map(c => c.id).join(',')}:${state.discardPile.length}` : null;
+    if (key === hintKey) return;
+
+    hintKey = key;
+    currentHint = null;
+    if (key) {
+        hintRequests.push(key);
+        socket.emit('get-hint');
+    }
+}
+
+/**
+ * The server's hints as log lines, each with the deadwood it leaves
+ */
+function renderHintLines(hint) {
+    const cards = list => list.map(c => `${c.rank}${c.suit}`).join(' ');
+    const lines = [];
+    if (hint.fight) {
+        lines.push([hint.fight.response === 'challenge' ? 'Challenge' : 'Fold', hint.fight]);
+    }
+    if (hint.draw) {
+        lines.push([hint.draw.action === 'draw-discard' ? 'Pick up the discard' : 'Draw from the stock', hint.draw]);
+    }
+    if (hint.tongit) lines.push(['Call Tongit', hint.tongit]);
+    (hint.melds || []).forEach(meld => lines.push([`Expose ${cards(meld.cards)}`, meld]));
+    (hint.sapaws || []).forEach(sapaw => lines.push([`Sapaw ${cards(sapaw.cards)}`, sapaw]));
+    if (hint.discard && !hint.tongit) lines.push([`Discard ${cards(hint.discard.cards)}`, hint.discard]);
+
+    return lines.map(([action, item]) =>
+        `<div class="hint" style="color:#76ff03; padding: 2px 0;">🧭 <b>${action}</b>: ${item.reason} (deadwood ${item.deadwood})</div>`
+    ).join('');
+}
+
+/**
+ * Outline the hand cards the hints suggest playing
+ */
+function renderHintHighlights() {
+    const ids = new Set();
+    if (currentHint && currentHint.draw && currentHint.draw.cardIds) currentHint.draw.cardIds.forEach(id => ids.add(id));
+    if (currentHint && currentHint.discard && !currentHint.tongit) ids.add(currentHint.discard.cardId);
+    document.querySelectorAll('#my-hand .card').forEach(el => {
+        el.classList.toggle('hint-card', ids.has(Number(el.dataset.cardId)));
+    });
+}
+
 /**
  * Render expose zones and fight button logic
  */
@@ -448,22 +619,51 @@ function renderExposeZones(myTurn, state, me) {
     if (myTurn && state.phase === 'action') {
         exposeZoneLeft.classList.remove('hidden');
         exposeZoneRight.classList.remove('hidden');
+    } else {
+        exposeZoneLeft.classList.add('hidden');
+        exposeZoneRight.classList.add('hidden');
+    }
 
-        if (me && me.hasOpened) {
-            const anySapawable = me.exposedMelds.some(m => !m.isSapawedByOthers);
-            const isOpeningTurn = me.openedThisTurn;
-            fightBtn.disabled = !anySapawable || isOpeningTurn;
+    // A fight is called at the start of the turn, before drawing
+    if (myTurn && state.phase === 'draw' && me) {
+        fightBtn.disabled = !!me.fightBlockReason;
+        fightBtn.title = me.fightBlockReason || 'Call a fight before drawing';
 
-            if (isOpeningTurn && anySapawable) {
-                gameLog.innerHTML += `<div class="hint" style="color:#ffcc00; font-weight:bold; padding: 5px 0;">🚫 You cannot call a FIGHT on the turn you open.</div>`;
-            }
-        } else {
-            fightBtn.disabled = true;
+        if (me.hasOpened && me.fightBlockReason) {
+            gameLog.innerHTML += `<div class="hint" style="color:#ffcc00; font-weight:bold; padding: 5px 0;">🚫 Can't FIGHT: ${me.fightBlockReason}</div>`;
         }
     } else {
-        exposeZoneLeft.classList.add('hidden');
-        exposeZoneRight.classList.add('hidden');
         fightBtn.disabled = true;
+        fightBtn.title = '';
+    }
+}
+
+/**
+ * Light up the Tongit button when my hand is fully melded (the server
+ * works out the options, including which discards would complete it)
+ */
+function renderTongitButton(me) {
+    const options = me && me.tongitOptions;
+    const canTongit = !!options && (options.withoutDiscard || options.discardCardIds.length > 0);
+    tongitBtn.disabled = !canTongit;
+    tongitBtn.title = canTongit
+        ? (options.withoutDiscard ? 'Declare Tongit with your concealed melds' : 'Discard and declare Tongit')
+        : '';
+}
+
+/**
+ * Show Fold/Challenge buttons while a fight call waits on my answer
+ */
+function renderFightPrompt(state, me) {
+    const awaitingMe = !replay && !me.isAway && state.phase === 'fight-response' && state.fight && state.fight.responses[myId] === null;
+    foldBtn.classList.toggle('hidden', !awaitingMe);
+    challengeBtn.classList.toggle('hidden', !awaitingMe);
+    challengeBtn.disabled = !me.hasOpened;
+
+    if (awaitingMe) {
+        const caller = state.players.find(p => p.id === state.fight.callerId);
+        gameLog.innerHTML += `<div class="hint" style="color:#ff4757; font-weight:bold; padding: 5px 0;">⚔️ ${caller.name} called a FIGHT! Fold or Challenge?</div>`;
+        gameLog.scrollTop = gameLog.scrollHeight;
     }
 }
 
@@ -474,11 +674,12 @@ function highlightMatches(discardCard) {
     if (!discardCard) return;
     const matches = findMatches(myCards, discardCard);
 
-    document.querySelectorAll('#my-hand .card').forEach((el, idx) => {
+    document.querySelectorAll('#my-hand .card').forEach(el => {
+        const cardId = Number(el.dataset.cardId);
         el.classList.remove('match-highlight');
-        if (matches.some(m => m.includes(idx))) {
+        if (matches.some(m => m.includes(cardId))) {
             el.classList.add('match-highlight');
-            el.dataset.matchIndices = matches.find(m => m.includes(idx)).join(',');
+            el.dataset.matchIds = matches.find(m => m.includes(cardId)).join(',');
         }
     });
 
@@ -505,6 +706,8 @@ function updatePlayerSlot(slotId, player, isActive) {
 
     if (nameEl) nameEl.innerText = player.name;
     if (chipsEl) chipsEl.innerText = `$${player.chips.toLocaleString()}`;
+    if (nameEl) renderStreakBadge(nameEl, player);
+    if (nameEl) renderAwayBadge(nameEl, player);
 
     // Render opponent hand (card backs OR actual cards if game ended)
     if (slotId !== 'player-bottom') {
@@ -512,7 +715,7 @@ function updatePlayerSlot(slotId, player, isActive) {
         handMini.innerHTML = '';
 
         // Check if game ended - show actual cards
-        if (currentGameState && currentGameState.status === 'ended' && player.hand && player.hand.length > 0) {
+        if (currentGameState && (currentGameState.status === 'ended' || replay) && player.hand && player.hand.length > 0) {
             // Show actual cards face-up
             player.hand.forEach(card => {
                 const cardEl = document.createElement('div');
@@ -535,6 +738,80 @@ function updatePlayerSlot(slotId, player, isActive) {
     renderExposedMelds(slot, player);
 }
 
+/**
+ * Show a player's win streak next to their name; an odd streak means the
+ * next win takes the side pot
+ */
+function renderStreakBadge(nameEl, player) {
+    let badge = nameEl.parentNode.querySelector('.streak-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'streak-badge';
+        nameEl.after(badge);
+    }
+
+    const wins = player.consecutiveWins || 0;
+    badge.classList.toggle('hidden', wins === 0);
+    badge.innerText = `🔥${wins}`;
+    badge.title = wins % 2 === 1
+        ? `${wins} in a row - next win takes the $${currentGameState.sidePot} side pot`
+        : `${wins} in a row`;
+}
+
+/**
+ * Mark a human whose seat a bot is playing
+ */
+function renderAwayBadge(nameEl, player) {
+    let badge = nameEl.parentNode.querySelector('.away-badge');
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'away-badge';
+        badge.innerText = 'AWAY';
+        badge.title = 'A bot is playing this seat';
+        nameEl.after(badge);
+    }
+    badge.classList.toggle('hidden', !player.isAway);
+}
+
+/**
+ * Count down next to the players the turn clock is waiting on
+ */
+function renderTurnClock(state) {
+    clearInterval(turnClockTimer);
+    document.querySelectorAll('.turn-clock').forEach(el => el.remove());
+    const clock = !replay && state.turnClock;
+    if (!clock) return;
+
+    const deadline = Date.now() + clock.remainingMs;
+    const badges = clock.playerIds.map(id => {
+        const badge = document.createElement('span');
+        badge.className = 'turn-clock';
+        const nameEl = document.getElementById(slotIdFor(state, id)).querySelector('.name') || document.getElementById('my-name');
+        nameEl.parentNode.appendChild(badge);
+        return badge;
+    });
+
+    const tick = () => {
+        const seconds = Math.max(0, Math.ceil((deadline - Date.now()) / 1000));
+        badges.forEach(badge => {
+            badge.innerText = `⏱ ${seconds}s`;
+            badge.classList.toggle('urgent', seconds <= 10);
+        });
+        if (seconds === 0) clearInterval(turnClockTimer);
+    };
+    tick();
+    turnClockTimer = setInterval(tick, 250);
+}
+
+/**
+ * The table slot a player sits in, seen from the local player's seat
+ */
+function slotIdFor(state, playerId) {
+    const seat = state.players.findIndex(p => p.id === myId);
+    const offset = (state.players.findIndex(p => p.id === playerId) - seat + 3) % 3;
+    return ['player-bottom', 'player-left', 'player-right'][offset];
+}
+
 /**
  * Render exposed melds for a player slot
  */
@@ -546,22 +823,23 @@ function renderExposedMelds(slot, player) {
     player.exposedMelds.forEach((meld, meldIndex) => {
         const groupEl = document.createElement('div');
         groupEl.className = 'meld-group';
-        // Add data attributes for touch targeting
-        groupEl.dataset.playerId = player.id;
-        groupEl.dataset.meldIndex = meldIndex;
-
-        // Sapaw click handler
-        groupEl.addEventListener('click', () => handleSapawClick(player.id, meldIndex));
-
-        // Sapaw drag handlers
-        groupEl.addEventListener('dragover', (e) => {
-            if (isMyTurn() && currentGameState.phase === 'action') {
-                e.preventDefault();
-                groupEl.classList.add('drag-over');
+
+        // Secret sets take no lay-offs; opponents only see the card backs
+        if (meld.isSecret) {
+            groupEl.classList.add('secret-meld');
+            groupEl.title = 'Secret set';
+            if (meld.cards.length === 0) {
+                for (let i = 0; i < meld.cardCount; i++) {
+                    const backEl = document.createElement('div');
+                    backEl.className = 'card-mini face-down';
+                    groupEl.appendChild(backEl);
+                }
+                exposedContainer.appendChild(groupEl);
+                return;
             }
-        });
-        groupEl.addEventListener('dragleave', () => groupEl.classList.remove('drag-over'));
-        groupEl.addEventListener('drop', (e) => handleSapawDrop(e, player.id, meldIndex, groupEl));
+        } else {
+            attachSapawListeners(groupEl, player.id, meldIndex);
+        }
 
         // Render meld cards
         meld.cards.forEach(card => {
@@ -575,38 +853,58 @@ function renderExposedMelds(slot, player) {
     });
 }
 
+/**
+ * Make a meld a sapaw target (click, drag and touch)
+ */
+function attachSapawListeners(groupEl, playerId, meldIndex) {
+    // Add data attributes for touch targeting
+    groupEl.dataset.playerId = playerId;
+    groupEl.dataset.meldIndex = meldIndex;
+
+    // Sapaw click handler
+    groupEl.addEventListener('click', () => handleSapawClick(playerId, meldIndex));
+
+    // Sapaw drag handlers
+    groupEl.addEventListener('dragover', (e) => {
+        if (isMyTurn() && currentGameState.phase === 'action') {
+            e.preventDefault();
+            groupEl.classList.add('drag-over');
+        }
+    });
+    groupEl.addEventListener('dragleave', () => groupEl.classList.remove('drag-over'));
+    groupEl.addEventListener('drop', (e) => handleSapawDrop(e, playerId, meldIndex, groupEl));
+}
+
 /**
  * Render the player's hand
  */
 function renderHand(cards) {
     myHand.innerHTML = '';
 
-    cards.forEach((card, index) => {
+    cards.forEach(card => {
         const cardEl = createCardElement(card);
-        cardEl.dataset.index = index;
+        cardEl.dataset.cardId = card.id;
         cardEl.draggable = true;
-        if (selectedCards.has(index)) cardEl.classList.add('selected');
+        if (selectedCards.has(card.id)) cardEl.classList.add('selected');
 
         // Add group indicator if card is grouped
         if (card.groupId) {
-            renderGroupIndicator(cardEl, card, cards, index);
+            renderGroupIndicator(cardEl, card, cards);
         }
 
         // Card event listeners
-        cardEl.addEventListener('click', () => handleCardClick(cardEl, index, cards, card));
-        cardEl.addEventListener('dragstart', (e) => handleCardDragStart(e, cardEl, index));
+        cardEl.addEventListener('click', () => handleCardClick(cardEl, card));
+        cardEl.addEventListener('dragstart', (e) => handleCardDragStart(e, cardEl, card.id));
         cardEl.addEventListener('dragend', () => cardEl.classList.remove('dragging'));
         cardEl.addEventListener('dragover', (e) => e.preventDefault());
 
-        cardEl.addEventListener('drop', (e) => handleCardDrop(e, index));
+        cardEl.addEventListener('drop', (e) => handleCardDrop(e, card.id));
 
         // Touch Listener
-        cardEl.addEventListener('touchstart', (e) => handleTouchStart(e, cardEl, index), { passive: false });
-
-        // Apply just-drawn glow effect
+        cardEl.addEventListener('touchstart', (e) => handleTouchStart(e, cardEl, card.id), { passive: false });
 
         // Apply just-drawn glow effect
-        if (lastDrawnCard && card.rank === lastDrawnCard.rank && card.suit === lastDrawnCard.suit) {
+        if (card.id === lastDrawnCardId) {
             cardEl.classList.add('just-drawn');
         }
 
@@ -614,13 +912,13 @@ function renderHand(cards) {
     });
 
     // Clear the drawn card tracker after rendering
-    lastDrawnCard = null;
+    lastDrawnCardId = null;
 }
 
 /**
  * Render group indicator on a card
  */
-function renderGroupIndicator(cardEl, card, cards, index) {
+function renderGroupIndicator(cardEl, card, cards) {
     const groupCards = cards.filter(c => c.groupId === card.groupId);
     const isValid = validateMeld(groupCards);
 
@@ -635,10 +933,7 @@ function renderGroupIndicator(cardEl, card, cards, index) {
         indicator.title = 'Click to Drop (Expose)';
         indicator.addEventListener('click', (e) => {
             e.stopPropagation();
-            const indices = cards.map((c, i) => c.groupId === card.groupId ? i : -1).filter(i => i !== -1);
-            const serverMe = currentGameState.players.find(p => p.id === myId);
-            const serverIndices = mapLocalToSvrIdx(indices, myCards, serverMe.hand);
-            socket.emit('expose-meld', { cardIndexes: serverIndices });
+            socket.emit('expose-meld', { cardIds: groupCardIds(card.groupId) });
             selectedCards.clear();
         });
     }
@@ -661,6 +956,7 @@ function updateActionButtons() {
     const myTurn = currentGameState && currentGameState.players[currentGameState.turnIndex].id === myId;
     discardBtn.disabled = !myTurn || currentGameState.phase !== 'action' || selectedCards.size !== 1;
     exposeBtn.disabled = !myTurn || currentGameState.phase !== 'action' || selectedCards.size < 3;
+    secretBtn.disabled = !myTurn || currentGameState.phase !== 'action' || !isSecretSet(cardsById(Array.from(selectedCards)));
 }
 
 // ============================================================================
@@ -670,23 +966,21 @@ function updateActionButtons() {
 /**
  * Handle card click events
  */
-function handleCardClick(cardEl, index, cards, card) {
+function handleCardClick(cardEl, card) {
     // Quick-expose logic for highlighted matches
     if (cardEl.classList.contains('match-highlight') && canDraw()) {
-        const matchIndices = cardEl.dataset.matchIndices.split(',').map(Number);
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        const serverIndexes = mapLocalToSvrIdx(matchIndices, myCards, serverMe.hand);
-        socket.emit('draw-discard', { meldIndexes: serverIndexes });
+        const matchIds = cardEl.dataset.matchIds.split(',').map(Number);
+        socket.emit('draw-discard', { cardIds: matchIds });
         selectedCards.clear();
         return;
     }
 
     // Toggle selection
-    if (selectedCards.has(index)) {
-        selectedCards.delete(index);
+    if (selectedCards.has(card.id)) {
+        selectedCards.delete(card.id);
         cardEl.classList.remove('selected');
     } else {
-        selectedCards.add(index);
+        selectedCards.add(card.id);
         cardEl.classList.add('selected');
     }
     updateActionButtons();
@@ -695,25 +989,26 @@ function handleCardClick(cardEl, index, cards, card) {
 /**
  * Handle card drag start
  */
-function handleCardDragStart(e, cardEl, index) {
+function handleCardDragStart(e, cardEl, cardId) {
     cardEl.classList.add('dragging');
-    if (selectedCards.has(index)) {
+    if (selectedCards.has(cardId)) {
         e.dataTransfer.setData('text/plain', 'group');
     } else {
-        e.dataTransfer.setData('text/plain', index);
+        e.dataTransfer.setData('text/plain', cardId);
     }
 }
 
 /**
  * Handle card drop (reordering)
  */
-function handleCardDrop(e, toIndex) {
+function handleCardDrop(e, toCardId) {
     e.preventDefault();
     const data = e.dataTransfer.getData('text/plain');
     if (data === 'group') return;
 
-    const fromIndex = parseInt(data);
-    if (fromIndex !== toIndex) {
+    const fromIndex = myCards.findIndex(c => c.id === Number(data));
+    const toIndex = myCards.findIndex(c => c.id === toCardId);
+    if (fromIndex !== -1 && toIndex !== -1 && fromIndex !== toIndex) {
         const movedCard = myCards.splice(fromIndex, 1)[0];
         myCards.splice(toIndex, 0, movedCard);
         renderHand(myCards);
@@ -725,16 +1020,10 @@ function handleCardDrop(e, toIndex) {
  */
 function handleSapawClick(targetPlayerId, meldIndex) {
     if (selectedCards.size === 1 && currentGameState.phase === 'action' && isMyTurn()) {
-        const localIdx = Array.from(selectedCards)[0];
-        const selectedCard = myCards[localIdx];
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        const serverIdx = serverMe.hand.findIndex(c => c && c.rank === selectedCard.rank && c.suit === selectedCard.suit);
-
-        if (serverIdx !== -1) {
-            socket.emit('sapaw', { targetPlayerId, meldIndex, cardIndex: serverIdx });
-            selectedCards.clear();
-            renderHand(myCards);
-        }
+        const cardId = Array.from(selectedCards)[0];
+        socket.emit('sapaw', { targetPlayerId, meldIndex, cardId });
+        selectedCards.clear();
+        renderHand(myCards);
     }
 }
 
@@ -747,36 +1036,21 @@ function handleSapawDrop(e, targetPlayerId, meldIndex, groupEl) {
     if (!isMyTurn() || currentGameState.phase !== 'action') return;
 
     const data = e.dataTransfer.getData('text/plain');
-    if (data === 'group') return;
-
-    const localIdx = parseInt(data);
-    if (!isNaN(localIdx)) {
-        const selectedCard = myCards[localIdx];
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        const serverIdx = serverMe.hand.findIndex(c => c && c.rank === selectedCard.rank && c.suit === selectedCard.suit);
+    if (data === 'group' || data === '') return;
 
-        if (serverIdx !== -1) {
-            socket.emit('sapaw', { targetPlayerId, meldIndex, cardIndex: serverIdx });
-            selectedCards.clear();
-            renderHand(myCards);
-        }
-    }
+    socket.emit('sapaw', { targetPlayerId, meldIndex, cardId: Number(data) });
+    selectedCards.clear();
+    renderHand(myCards);
 }
 
 /**
  * Perform discard action
  */
-function performDiscard(localIdx) {
+function performDiscard(cardId) {
     if (isMyTurn() && currentGameState.phase === 'action') {
-        const selectedCard = myCards[localIdx];
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        if (!serverMe) return;
-        const serverIdx = serverMe.hand.findIndex(c => c && c.rank === selectedCard.rank && c.suit === selectedCard.suit);
-        if (serverIdx !== -1) {
-            socket.emit('discard', { cardIndex: serverIdx });
-            selectedCards.clear();
-            renderHand(myCards);
-        }
+        socket.emit('discard', { cardId });
+        selectedCards.clear();
+        renderHand(myCards);
     }
 }
 
@@ -791,34 +1065,121 @@ joinBtn.addEventListener('click', () => {
     }
 });
 
+dailyBtn.addEventListener('click', () => {
+    const name = playerNameInput.value.trim();
+    if (name) socket.emit('join-daily', { name });
+});
+
+dailyResultsBtn.addEventListener('click', () => openDailyResults());
+
+document.getElementById('close-daily-results-btn').addEventListener('click', () => {
+    dailyResultsOverlay.classList.add('hidden');
+});
+
 addBotBtn.addEventListener('click', () => {
     socket.emit('add-bot', { difficulty: botDifficulty.value });
 });
 
 startGameBtn.addEventListener('click', () => {
-    socket.emit('start-game');
+    // A seed deals a reproducible hand (leave blank for a random one)
+    socket.emit('start-game', { seed: roundSeedInput.value.trim() });
 });
 
+/**
+ * Show the match end condition; only the host may change it
+ */
+function renderMatchConfig(config) {
+    if (!config) return;
+    matchEndCondition.value = config.endCondition;
+    matchTarget.classList.toggle('hidden', config.endCondition === 'bust');
+    matchTarget.placeholder = config.endCondition === 'rounds' ? 'Number of rounds' : 'Chip target';
+    if (config.target !== null && document.activeElement !== matchTarget) matchTarget.value = config.target;
+    matchEndCondition.disabled = !isHost();
+    matchTarget.disabled = !isHost();
+}
+
+function emitMatchConfig() {
+    const defaults = { rounds: 5, 'chip-target': 150 };
+    const endCondition = matchEndCondition.value;
+    const target = parseInt(matchTarget.value, 10) || defaults[endCondition] || null;
+    socket.emit('set-match-config', { endCondition, target });
+}
+
+/**
+ * Fill the Add Bot list with the server's bot strategies, keeping the current pick
+ */
+function renderBotChoices(strategies) {
+    if (!strategies || strategies.length === 0) return;
+    const current = botDifficulty.value || 'medium';
+    botDifficulty.innerHTML = strategies.map(s => `<option value="${s.id}">${s.label}</option>`).join('');
+    if (strategies.some(s => s.id === current)) botDifficulty.value = current;
+}
+
+/**
+ * Show the house rules in the lobby; only the host may change them
+ */
+function renderRulesConfig(rules, presets) {
+    if (!rules) return;
+    activeRules = rules;
+
+    const options = rules.preset === 'custom' ? [...presets, 'custom'] : presets;
+    rulesPreset.innerHTML = options.map(name => `<option value="${name}">${formatPresetName(name)} rules</option>`).join('');
+    rulesPreset.value = rules.preset;
+    rulesPreset.disabled = !isHost();
+
+    if (rulesFields.children.length === 0) {
+        RULE_FIELDS.forEach(field => {
+            const label = document.createElement('label');
+            label.className = 'rule-field';
+            label.innerHTML = `<span>${field.label}</span><input type="${field.type}" data-rule="${field.key}">`;
+            label.querySelector('input').addEventListener('change', emitRuleOverrides);
+            rulesFields.appendChild(label);
+        });
+    }
+
+    rulesFields.querySelectorAll('input').forEach(input => {
+        const value = rules[input.dataset.rule];
+        if (input.type === 'checkbox') input.checked = value;
+        else if (document.activeElement !== input) input.value = value;
+        input.disabled = !isHost();
+    });
+}
+
+function formatPresetName(name) {
+    return name.split('-').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+}
+
+function emitRuleOverrides() {
+    const overrides = {};
+    rulesFields.querySelectorAll('input').forEach(input => {
+        overrides[input.dataset.rule] = input.type === 'checkbox' ? input.checked : input.value;
+    });
+    socket.emit('set-rules', { preset: activeRules.basePreset, overrides });
+}
+
+rulesPreset.addEventListener('change', () => {
+    if (rulesPreset.value !== 'custom') socket.emit('set-rules', { preset: rulesPreset.value });
+});
+
+matchEndCondition.addEventListener('change', () => {
+    matchTarget.value = '';
+    emitMatchConfig();
+});
+matchTarget.addEventListener('change', emitMatchConfig);
+
 // --- Game Action Button Listeners ---
 
 drawStockBtn.addEventListener('click', () => socket.emit('draw-stock'));
 
 drawDiscardBtn.addEventListener('click', () => {
-    const serverMe = currentGameState.players.find(p => p.id === myId);
-    const serverIndexes = mapLocalToSvrIdx(Array.from(selectedCards), myCards, serverMe.hand);
-    socket.emit('draw-discard', { meldIndexes: serverIndexes });
+    socket.emit('draw-discard', { cardIds: Array.from(selectedCards) });
     selectedCards.clear();
 });
 
 discardBtn.addEventListener('click', () => {
     if (selectedCards.size === 1) {
-        const selectedCard = myCards[Array.from(selectedCards)[0]];
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        const serverIdx = serverMe.hand.findIndex(c => c && c.rank === selectedCard.rank && c.suit === selectedCard.suit);
-        if (serverIdx !== -1) {
-            socket.emit('discard', { cardIndex: serverIdx });
-            selectedCards.clear();
-        }
+        socket.emit('discard', { cardId: Array.from(selectedCards)[0] });
+        selectedCards.clear();
     } else {
         alert('Select 1 card to discard.');
     }
@@ -832,15 +1193,33 @@ sortBtn.addEventListener('click', () => {
 });
 
 fightBtn.addEventListener('click', () => {
-    if (confirm("Are you sure you want to call a FIGHT? You must have the lowest points to win!")) {
+    if (confirm("Are you sure you want to call a FIGHT? Anyone who challenges must have more points than you!")) {
         socket.emit('call-fight');
     }
 });
 
+tongitBtn.addEventListener('click', () => {
+    const serverMe = currentGameState.players.find(p => p.id === myId);
+    const options = serverMe && serverMe.tongitOptions;
+    if (!options) return;
+
+    let discardCardId = null;
+    if (!options.withoutDiscard) {
+        // Discard the selected card if it completes the Tongit, else any card that does
+        const selected = selectedCards.size === 1 ? Array.from(selectedCards)[0] : null;
+        discardCardId = options.discardCardIds.includes(selected) ? selected : options.discardCardIds[0];
+    }
+    socket.emit('call-tongit', { discardCardId });
+    selectedCards.clear();
+});
+
+foldBtn.addEventListener('click', () => socket.emit('fight-response', { response: 'fold' }));
+challengeBtn.addEventListener('click', () => socket.emit('fight-response', { response: 'challenge' }));
+
 groupBtn.addEventListener('click', () => {
     if (selectedCards.size < 1) return;
 
-    const indices = Array.from(selectedCards).sort((a, b) => a - b);
+    const indices = myCards.map((c, i) => selectedCards.has(c.id) ? i : -1).filter(i => i !== -1);
     const firstGroupId = myCards[indices[0]].groupId;
     const allSameGroup = firstGroupId && indices.every(i => myCards[i].groupId === firstGroupId);
 
@@ -864,9 +1243,15 @@ groupBtn.addEventListener('click', () => {
 
 exposeBtn.addEventListener('click', () => {
     if (selectedCards.size >= 3) {
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        const serverIndices = mapLocalToSvrIdx(Array.from(selectedCards), myCards, serverMe.hand);
-        socket.emit('expose-meld', { cardIndexes: serverIndices });
+        socket.emit('expose-meld', { cardIds: Array.from(selectedCards) });
+        selectedCards.clear();
+    }
+});
+
+secretBtn.addEventListener('click', () => {
+    const cardIds = Array.from(selectedCards);
+    if (isSecretSet(cardsById(cardIds))) {
+        socket.emit('expose-secret-set', { cardIds });
         selectedCards.clear();
     }
 });
@@ -874,12 +1259,19 @@ exposeBtn.addEventListener('click', () => {
 suggestBtn.addEventListener('click', () => {
     suggestionsEnabled = !suggestionsEnabled;
     suggestBtn.innerText = `Sug: ${suggestionsEnabled ? 'ON' : 'OFF'}`;
-    renderHand(myCards);
+    if (currentGameState) renderGameState(currentGameState);
 });
 
-// Play Again button
-document.getElementById('play-again-btn').addEventListener('click', () => {
-    location.reload();
+rulesBtn.addEventListener('click', () => toggleRulesPanel());
+replaysBtn.addEventListener('click', () => openReplayPicker());
+undoBtn.addEventListener('click', () => socket.emit('undo'));
+backBtn.addEventListener('click', () => socket.emit('im-back'));
+
+// Next Round button (host only)
+document.getElementById('next-round-btn').addEventListener('click', () => {
+    const seedInput = document.getElementById('next-round-seed');
+    socket.emit('next-round', { seed: seedInput.value.trim() });
+    seedInput.value = '';
 });
 
 // --- Pile & Zone Listeners ---
@@ -911,25 +1303,17 @@ discardPile.addEventListener('drop', (e) => {
     e.preventDefault();
     discardPile.classList.remove('drag-over');
     const data = e.dataTransfer.getData('text/plain');
-    if (data === 'group') return;
-    const localIdx = parseInt(data);
-    if (!isNaN(localIdx)) performDiscard(localIdx);
+    if (data === 'group' || data === '') return;
+    performDiscard(Number(data));
 });
 discardPile.addEventListener('click', () => {
-    if (currentGameState && currentGameState.players[currentGameState.turnIndex].id === myId) {
+    if (isMyTurn()) {
         if (currentGameState.phase === 'draw') {
-            const serverMe = currentGameState.players.find(p => p.id === myId);
-            const serverIndexes = mapLocalToSvrIdx(Array.from(selectedCards), myCards, serverMe.hand);
-            socket.emit('draw-discard', { meldIndexes: serverIndexes });
+            socket.emit('draw-discard', { cardIds: Array.from(selectedCards) });
             selectedCards.clear();
         } else if (currentGameState.phase === 'action' && selectedCards.size === 1) {
-            const selectedCard = myCards[Array.from(selectedCards)[0]];
-            const serverMe = currentGameState.players.find(p => p.id === myId);
-            const serverIdx = serverMe.hand.findIndex(c => c && c.rank === selectedCard.rank && c.suit === selectedCard.suit);
-            if (serverIdx !== -1) {
-                socket.emit('discard', { cardIndex: serverIdx });
-                selectedCards.clear();
-            }
+            socket.emit('discard', { cardId: Array.from(selectedCards)[0] });
+            selectedCards.clear();
         } else if (currentGameState.phase === 'action' && selectedCards.size === 0) {
             showDiscardHistory();
         }
@@ -942,9 +1326,7 @@ dropAreaMain.addEventListener('dragover', (e) => e.preventDefault());
 dropAreaMain.addEventListener('drop', (e) => {
     e.preventDefault();
     if (selectedCards.size >= 3) {
-        const serverMe = currentGameState.players.find(p => p.id === myId);
-        const serverIndices = mapLocalToSvrIdx(Array.from(selectedCards), myCards, serverMe.hand);
-        socket.emit('expose-meld', { cardIndexes: serverIndices });
+        socket.emit('expose-meld', { cardIds: Array.from(selectedCards) });
         selectedCards.clear();
     }
 });
@@ -962,34 +1344,29 @@ dropAreaMain.addEventListener('drop', (e) => {
         zone.classList.remove('drag-over');
 
         const data = e.dataTransfer.getData('text/plain');
-        if (data === 'group') {
-            const indices = Array.from(selectedCards);
-            const cardsInGroup = indices.map(i => myCards[i]);
-            if (validateMeld(cardsInGroup)) {
-                const serverMe = currentGameState.players.find(p => p.id === myId);
-                const serverIndices = mapLocalToSvrIdx(indices, myCards, serverMe.hand);
-                socket.emit('expose-meld', { cardIndexes: serverIndices });
-                selectedCards.clear();
-            }
-        } else {
-            const cardIdx = parseInt(data);
-            if (!isNaN(cardIdx)) {
-                const card = myCards[cardIdx];
-                if (card && card.groupId) {
-                    const groupCards = myCards.filter(c => c.groupId === card.groupId);
-                    if (validateMeld(groupCards)) {
-                        const indices = myCards.map((c, i) => c.groupId === card.groupId ? i : -1).filter(i => i !== -1);
-                        const serverMe = currentGameState.players.find(p => p.id === myId);
-                        const serverIndices = mapLocalToSvrIdx(indices, myCards, serverMe.hand);
-                        socket.emit('expose-meld', { cardIndexes: serverIndices });
-                        selectedCards.clear();
-                    }
-                }
-            }
-        }
+        exposeDraggedCards(data === 'group' ? 'group' : Number(data));
     });
 });
 
+/**
+ * Expose the selection (group drag) or the local group of the dragged card
+ */
+function exposeDraggedCards(dragged) {
+    let cardIds;
+    if (dragged === 'group') {
+        cardIds = Array.from(selectedCards);
+    } else {
+        const card = myCards.find(c => c.id === dragged);
+        if (!card || !card.groupId) return;
+        cardIds = groupCardIds(card.groupId);
+    }
+
+    if (validateMeld(cardsById(cardIds))) {
+        socket.emit('expose-meld', { cardIds });
+        selectedCards.clear();
+    }
+}
+
 // ============================================================================
 // 8. MODAL & OVERLAY FUNCTIONS
 // ============================================================================
@@ -1033,8 +1410,14 @@ function renderResults(overlay, results) {
     const list = document.getElementById('results-list');
     list.innerHTML = '';
 
-    const title = results.type === 'tongit' ? 'TONGITS!' : 'Deck Empty (Points Result)';
-    overlay.querySelector('h2').innerText = title;
+    const titles = {
+        tongit: 'TONGITS!',
+        fight: 'Fight! (Everyone Folded)',
+        'challenged-fight': 'Fight!',
+        'deck-empty': 'Deck Empty (Points Result)'
+    };
+    overlay.querySelector('h2').innerText = titles[results.type] || 'Round Over';
+    const responseLabels = { call: 'Called', fold: 'Folded', challenge: 'Challenged' };
 
     results.players.forEach(p => {
         const row = document.createElement('div');
@@ -1049,11 +1432,189 @@ function renderResults(overlay, results) {
         }
 
         row.innerHTML = `
-            <span>${p.name} ${p.isWinner ? '🏆' : ''}${p.isBurned ? '<span class="burned-badge">BURNED</span>' : ''}</span>
-            <span>${p.weight} pts</span>
+            <span>${p.name} ${p.isWinner ? '🏆' : ''}${p.isBurned ? '<span class="burned-badge">BURNED</span>' : ''}${p.response ? ` <small>(${responseLabels[p.response]})</small>` : ''}</span>
+            <span>${p.weight} pts · $${p.chips.toLocaleString()}</span>
         `;
         list.appendChild(row);
     });
+
+    if (results.settlement) {
+        renderSettlement(list, results.settlement);
+        renderSidePot(list, results);
+    }
+
+    // The seed lets anyone replay this exact deal
+    const seedRow = document.createElement('div');
+    seedRow.style.cssText = 'margin-top: 10px; opacity: 0.6; font-size: 0.8rem;';
+    seedRow.innerHTML = `Deal seed: ${results.seed} · <a href="/rooms/${encodeURIComponent(roomId)}/hand.tgn" download style="color: inherit;">Download hand (TGN)</a> · <a href="#" id="watch-replay-link" style="color: inherit;">Watch replay</a>`;
+    list.appendChild(seedRow);
+    document.getElementById('watch-replay-link').addEventListener('click', (e) => {
+        e.preventDefault();
+        socket.emit('get-replay', {}); // The hand that just finished
+    });
+}
+
+/**
+ * Render the itemised chip payments under the round results
+ */
+function renderSettlement(list, settlement) {
+    const section = document.createElement('div');
+    section.style.marginTop = '10px';
+    section.innerHTML = '<h3 style="margin: 5px 0;">Chip Payments</h3>';
+
+    settlement.exchanges.forEach(ex => {
+        const row = document.createElement('div');
+        row.style.padding = '4px 0';
+        row.style.fontSize = '0.9rem';
+        const items = ex.items.map(item => `${item.label} ${item.amount}`).join(' + ');
+        row.innerHTML = `
+            <div style="display: flex; justify-content: space-between;">
+                <span>${ex.from} → ${ex.to}</span>
+                <span style="color: var(--accent-gold);">$${ex.amount}</span>
+            </div>
+            <div style="opacity: 0.7; font-size: 0.8rem;">${items}</div>
+        `;
+        section.appendChild(row);
+    });
+
+    list.appendChild(section);
+}
+
+/**
+ * Render the side pot award (or what it has grown to) and the winner's streak
+ */
+function renderSidePot(list, results) {
+    const winner = results.players.find(p => p.id === results.streak.playerId);
+    const potRow = document.createElement('div');
+    potRow.style.padding = '8px 0 0';
+
+    if (results.settlement.sidePotClaimed) {
+        potRow.innerHTML = `🔥 ${winner.name} won ${results.streak.wins} in a row and takes the side pot: <span style="color: var(--accent-gold);">+$${results.settlement.sidePotClaimed}</span>`;
+    } else {
+        potRow.innerHTML = `Side pot: <span style="color: var(--accent-gold);">$${results.sidePot}</span> · ${winner.name} on a ${results.streak.wins}-win streak`;
+    }
+    list.appendChild(potRow);
+}
+
+/**
+ * Show the final standings and round-by-round winners once the match ends
+ */
+function renderMatchSummary(match) {
+    let overlay = document.getElementById('match-summary-overlay');
+    if (!match) {
+        if (overlay) overlay.classList.add('hidden');
+        return;
+    }
+
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'match-summary-overlay';
+        overlay.className = 'glass-panel';
+        document.getElementById('game-container').appendChild(overlay);
+    }
+    overlay.classList.remove('hidden');
+
+    // The round results overlay would sit on top of the summary
+    const roundOverlay = document.getElementById('game-over-overlay');
+    if (roundOverlay) roundOverlay.classList.add('hidden');
+
+    const standings = match.standings.map((p, i) => `
+        <div class="summary-row ${i === 0 ? 'summary-winner' : ''}">
+            <span>${i === 0 ? '🏆 ' : ''}${p.name}</span>
+            <span>${p.roundsWon} won · $${p.chips.toLocaleString()}</span>
+        </div>
+    `).join('');
+    const rounds = match.history.map(h => `
+        <div class="summary-row summary-round">
+            <span>Round ${h.round}</span>
+            <span>${h.winnerName} (${h.type})</span>
+        </div>
+    `).join('');
+
+    overlay.innerHTML = `
+        <h2 style="margin: 0 0 5px;">Match Over</h2>
+        <div style="opacity: 0.8; margin-bottom: 10px;">${match.reason}</div>
+        ${standings}
+        <h3 style="margin: 15px 0 5px;">Rounds</h3>
+        <div class="summary-rounds">${rounds}</div>
+        ${matchSummaryFooter()}
+    `;
+
+    const newMatchBtn = document.getElementById('new-match-btn');
+    if (newMatchBtn) newMatchBtn.addEventListener('click', () => socket.emit('start-game'));
+    const dailyBoardBtn = document.getElementById('daily-board-btn');
+    if (dailyBoardBtn) dailyBoardBtn.addEventListener('click', () => openDailyResults(dailyDate));
+}
+
+/**
+ * What comes after a match: the day's leaderboard for a daily deal,
+ * otherwise a new match (host only)
+ */
+function matchSummaryFooter() {
+    if (dailyDate) return '<button id="daily-board-btn" class="primary-btn" style="margin-top: 15px;">See How Everyone Did</button>';
+    if (isHost()) return '<button id="new-match-btn" class="primary-btn" style="margin-top: 15px;">New Match</button>';
+    return '<div style="margin-top: 15px; opacity: 0.7;">Waiting for the host to start a new match...</div>';
+}
+
+/**
+ * Ask for a day's daily deal results (today's without a date)
+ */
+function openDailyResults(date = null) {
+    socket.emit('get-daily-results', date ? { date } : {});
+    dailyResultsOverlay.classList.remove('hidden');
+}
+
+/**
+ * Everyone who played the day's deal, best first
+ */
+function renderDailyResults(data) {
+    dailyResultsTitle.innerText = `Daily Leaderboard · ${data.date}`;
+    if (data.entries.length === 0) {
+        dailyResultsList.innerHTML = '<div class="summary-row"><i>Nobody has played this deal yet.</i></div>';
+        return;
+    }
+
+    // Names come from every player on the server: text only, never markup
+    const myName = playerNameInput.value.trim();
+    dailyResultsList.innerHTML = '';
+    data.entries.forEach((entry, i) => {
+        const row = document.createElement('div');
+        row.className = `summary-row ${entry.name === myName ? 'summary-winner' : ''}`;
+        const who = document.createElement('span');
+        who.textContent = `${i + 1}. ${entry.name}${entry.isWinner ? ' 🏆' : ''}`;
+        const result = document.createElement('span');
+        result.textContent = `${entry.isWinner ? `Won (${entry.type})` : `Lost (${entry.type})`} · ${entry.chips >= 0 ? '+' : ''}$${entry.chips} · ${entry.deadwood} pts`;
+        row.append(who, result);
+        dailyResultsList.appendChild(row);
+    });
+}
+
+/**
+ * Show or hide the active house rules during play
+ */
+function toggleRulesPanel() {
+    let panel = document.getElementById('rules-panel');
+    if (panel) {
+        panel.remove();
+        return;
+    }
+    if (!activeRules) return;
+
+    const yesNo = value => value ? 'On' : 'Off';
+    panel = document.createElement('div');
+    panel.id = 'rules-panel';
+    panel.className = 'glass-panel';
+    panel.innerHTML = `
+        <h3 style="margin: 0 0 10px;">${formatPresetName(activeRules.preset)} Rules</h3>
+        ${RULE_FIELDS.map(field => `
+            <div class="summary-row">
+                <span>${field.label}</span>
+                <span>${field.type === 'checkbox' ? yesNo(activeRules[field.key]) : activeRules[field.key]}</span>
+            </div>
+        `).join('')}
+    `;
+    panel.addEventListener('click', () => panel.remove());
+    document.getElementById('game-container').appendChild(panel);
 }
 
 /**
@@ -1117,6 +1678,240 @@ discardHistoryOverlay.addEventListener('click', (e) => {
     }
 });
 
+// ============================================================================
+// 9. REPLAY MODE
+// ============================================================================
+
+/**
+ * Ask the server for the room's finished hands and show the picker
+ */
+function openReplayPicker() {
+    socket.emit('list-hands');
+    replayPickerOverlay.classList.remove('hidden');
+}
+
+function closeReplayPicker() {
+    replayPickerOverlay.classList.add('hidden');
+    replayFileInput.value = '';
+}
+
+/**
+ * List the finished hands, most recent first
+ */
+function renderHandList(hands) {
+    if (hands.length === 0) {
+        replayHandList.innerHTML = '<div class="summary-row"><i>No finished hands in this room yet.</i></div>';
+        return;
+    }
+
+    replayHandList.innerHTML = '';
+    hands.slice().reverse().forEach(hand => {
+        const row = document.createElement('button');
+        row.className = 'replay-hand-item';
+        row.innerHTML = `
+            <span>Hand ${hand.index + 1} · ${hand.winnerName || '-'} (${hand.type})</span>
+            <small>${hand.moveCount} moves · seed ${hand.seed}</small>
+        `;
+        row.addEventListener('click', () => socket.emit('get-replay', { index: hand.index }));
+        replayHandList.appendChild(row);
+    });
+}
+
+/**
+ * Enter replay mode. The table is drawn by renderGameState from the
+ * replay's frames, seen from the player's own seat when they played the
+ * hand, otherwise from the first seat. Live state is put aside until exit.
+ */
+function startReplay(data) {
+    closeReplayPicker();
+    const saved = replay
+        ? replay.saved
+        : { myId, myCards, selectedCards: new Set(selectedCards), currentGameState };
+    stopReplayTimer();
+
+    // Flatten the per-step log lines so every line knows its step
+    const logs = [];
+    const frames = data.frames.map((frame, step) => {
+        const logStart = logs.length;
+        frame.logs.forEach(l => logs.push({ ...l, step }));
+        return { ...frame, logStart, logEnd: logs.length };
+    });
+
+    const players = frames[0].state.players;
+    replay = {
+        frames,
+        logs,
+        step: 0,
+        decisiveStep: data.decisiveStep,
+        timer: null,
+        saved,
+        liveState: replay ? replay.liveState : null,
+        freshDeal: replay ? replay.freshDeal : false
+    };
+    myId = players.some(p => p.id === saved.myId) ? saved.myId : players[0].id;
+
+    const rulesPanel = document.getElementById('rules-panel');
+    if (rulesPanel) rulesPanel.remove();
+    lobbyScreen.classList.add('hidden');
+    gameScreen.classList.remove('hidden');
+    gameScreen.classList.add('replay-mode');
+    replayBar.classList.remove('hidden');
+    showReplayStep(0);
+}
+
+/**
+ * Draw the table as it was after the given step (0 is the deal)
+ */
+function showReplayStep(step) {
+    const previous = replay.frames[replay.step];
+    step = Math.max(0, Math.min(step, replay.frames.length - 1));
+    const frame = replay.frames[step];
+    const moved = frame !== previous;
+
+    // Stepping one move forward keeps the hand order, so the drawn card glows
+    if (step !== replay.step + 1) myCards = [];
+    selectedCards.clear();
+    lastDrawnCardId = null;
+    replay.step = step;
+
+    renderGameState({ ...frame.state, logs: replay.logs });
+    if (moved) animateReplayChanges(previous.state, frame.state);
+
+    replayStepLabel.innerText = step === 0
+        ? `Deal / ${replay.frames.length - 1}`
+        : `${step} / ${replay.frames.length - 1}`;
+    replayPlayBtn.innerText = replay.timer ? '⏸' : '▶';
+}
+
+/**
+ * Pop the discard pile and any meld that changed between two frames
+ */
+function animateReplayChanges(before, after) {
+    const topId = pile => pile.length ? pile[pile.length - 1].id : null;
+    if (topId(before.discardPile) !== topId(after.discardPile)) {
+        popElement(discardPile.firstElementChild);
+    }
+
+    after.players.forEach(player => {
+        const old = before.players.find(p => p.id === player.id);
+        const slot = document.getElementById(slotIdFor(after, player.id));
+        const groups = slot.querySelectorAll('.exposed-melds .meld-group');
+        player.exposedMelds.forEach((meld, i) => {
+            const oldMeld = old.exposedMelds[i];
+            if (!oldMeld || oldMeld.cards.length !== meld.cards.length) popElement(groups[i]);
+        });
+    });
+}
+
+function popElement(el) {
+    if (!el) return;
+    el.classList.remove('replay-pop');
+    void el.offsetWidth; // Restart the animation
+    el.classList.add('replay-pop');
+}
+
+/**
+ * The whole hand's log: lines of the current step highlighted, later
+ * lines dimmed. Clicking a line jumps to its step.
+ */
+function renderReplayLog() {
+    const frame = replay.frames[replay.step];
+    gameLog.innerHTML = replay.logs.map((l, i) => {
+        const cls = i >= frame.logEnd ? 'replay-future' : (i >= frame.logStart ? 'replay-current' : '');
+        return `<div class="replay-log-line ${cls}" data-step="${l.step}">[${l.time}] ${l.message}</div>`;
+    }).join('');
+
+    const current = gameLog.querySelector('.replay-current');
+    if (current) current.scrollIntoView({ block: 'nearest' });
+}
+
+function toggleReplayPlayback() {
+    if (replay.timer) {
+        stopReplayTimer();
+    } else {
+        if (replay.step === replay.frames.length - 1) showReplayStep(0);
+        scheduleReplayStep();
+    }
+    replayPlayBtn.innerText = replay.timer ? '⏸' : '▶';
+}
+
+function scheduleReplayStep() {
+    replay.timer = setTimeout(() => {
+        replay.timer = null;
+        showReplayStep(replay.step + 1);
+        if (replay.step < replay.frames.length - 1) scheduleReplayStep();
+        replayPlayBtn.innerText = replay.timer ? '⏸' : '▶';
+    }, 1000 / Number(replaySpeed.value));
+}
+
+function stopReplayTimer() {
+    if (!replay || !replay.timer) return;
+    clearTimeout(replay.timer);
+    replay.timer = null;
+}
+
+/**
+ * Leave replay mode and catch up with live play
+ */
+function exitReplay() {
+    stopReplayTimer();
+    const { saved, liveState, freshDeal } = replay;
+    replay = null;
+
+    myId = saved.myId;
+    myCards = freshDeal ? [] : saved.myCards;
+    selectedCards = freshDeal ? new Set() : saved.selectedCards;
+    lastDrawnCardId = null;
+    gameScreen.classList.remove('replay-mode', 'game-ended');
+    replayBar.classList.add('hidden');
+
+    const state = liveState || saved.currentGameState;
+    if (state) {
+        renderGameState(state);
+    } else {
+        // Nothing live to return to
+        gameScreen.classList.add('hidden');
+        lobbyScreen.classList.remove('hidden');
+    }
+}
+
+// Replay Listeners
+document.getElementById('replay-start-btn').addEventListener('click', () => showReplayStep(0));
+document.getElementById('replay-back-btn').addEventListener('click', () => showReplayStep(replay.step - 1));
+replayPlayBtn.addEventListener('click', toggleReplayPlayback);
+document.getElementById('replay-forward-btn').addEventListener('click', () => showReplayStep(replay.step + 1));
+document.getElementById('replay-decisive-btn').addEventListener('click', () => showReplayStep(replay.decisiveStep));
+document.getElementById('replay-exit-btn').addEventListener('click', exitReplay);
+
+gameLog.addEventListener('click', (e) => {
+    const line = e.target.closest('.replay-log-line');
+    if (replay && line) showReplayStep(Number(line.dataset.step));
+});
+
+document.addEventListener('keydown', (e) => {
+    if (!replay || ['INPUT', 'SELECT', 'BUTTON'].includes(e.target.tagName)) return;
+    if (e.key === 'ArrowLeft') showReplayStep(replay.step - 1);
+    else if (e.key === 'ArrowRight') showReplayStep(replay.step + 1);
+    else if (e.key === ' ') {
+        e.preventDefault();
+        toggleReplayPlayback();
+    }
+});
+
+document.getElementById('close-replay-picker-btn').addEventListener('click', closeReplayPicker);
+replayPickerOverlay.addEventListener('click', (e) => {
+    if (e.target === replayPickerOverlay) closeReplayPicker();
+});
+
+// A TGN file is checked and stepped through by the server
+replayFileInput.addEventListener('change', () => {
+    const file = replayFileInput.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => socket.emit('load-tgn', { text: reader.result });
+    reader.readAsText(file);
+});
+
 // ============================================================================
 // 10. MOBILE TOUCH DRAG & DROP SUPPORT
 // ============================================================================
@@ -1127,11 +1922,11 @@ let touchGhost = null;
 let touchStartX = 0;
 let touchStartY = 0;
 
-function handleTouchStart(e, cardEl, index) {
+function handleTouchStart(e, cardEl, cardId) {
     if (e.touches.length > 1) return; // Ignore multi-touch
 
     dragSrcEl = cardEl;
-    touchDragItem = { index: index, type: 'card' };
+    touchDragItem = { cardId, type: 'card' };
 
     // Create ghost element
     touchGhost = cardEl.cloneNode(true);
@@ -1157,7 +1952,7 @@ function handleTouchStart(e, cardEl, index) {
     document.addEventListener('touchend', handleTouchEnd);
 
     // Check if part of a group drag
-    if (selectedCards.has(index)) {
+    if (selectedCards.has(cardId)) {
         touchDragItem.type = 'group';
         touchGhost.innerHTML += `<div style="position:absolute;top:-10px;right:-10px;background:red;color:white;border-radius:50%;width:20px;height:20px;display:flex;align-items:center;justify-content:center;font-size:12px;">${selectedCards.size}</div>`;
     }
@@ -1193,48 +1988,24 @@ function handleTouchEnd(e) {
     // Find valid drop targets
 
     // 1. Reorder in Hand
+    const dragData = touchDragItem.type === 'group' ? 'group' : String(touchDragItem.cardId);
     const targetCard = target.closest('.card');
     if (targetCard && targetCard.parentNode.id === 'my-hand') {
-        const toIndex = parseInt(targetCard.dataset.index);
-        if (!isNaN(toIndex)) {
-            handleCardDrop({ preventDefault: () => { }, dataTransfer: { getData: () => touchDragItem.type === 'group' ? 'group' : touchDragItem.index } }, toIndex);
-        }
+        handleCardDrop({ preventDefault: () => { }, dataTransfer: { getData: () => dragData } }, Number(targetCard.dataset.cardId));
     }
 
     // 2. Discard Pile
     const discardZone = target.closest('#discard-pile');
     if (discardZone) {
         if (touchDragItem.type !== 'group') {
-            performDiscard(touchDragItem.index);
+            performDiscard(touchDragItem.cardId);
         }
     }
 
     // 3. Expose Zones
     const exposeZone = target.closest('.expose-zone');
     if (exposeZone) {
-        // Reuse the logic from the drop listener
-        if (touchDragItem.type === 'group') {
-            const indices = Array.from(selectedCards);
-            const cardsInGroup = indices.map(i => myCards[i]);
-            if (validateMeld(cardsInGroup)) {
-                const serverMe = currentGameState.players.find(p => p.id === myId);
-                const serverIndices = mapLocalToSvrIdx(indices, myCards, serverMe.hand);
-                socket.emit('expose-meld', { cardIndexes: serverIndices });
-                selectedCards.clear();
-            }
-        } else {
-            const card = myCards[touchDragItem.index];
-            if (card && card.groupId) {
-                const groupCards = myCards.filter(c => c.groupId === card.groupId);
-                if (validateMeld(groupCards)) {
-                    const indices = myCards.map((c, i) => c.groupId === card.groupId ? i : -1).filter(i => i !== -1);
-                    const serverMe = currentGameState.players.find(p => p.id === myId);
-                    const serverIndices = mapLocalToSvrIdx(indices, myCards, serverMe.hand);
-                    socket.emit('expose-meld', { cardIndexes: serverIndices });
-                    selectedCards.clear();
-                }
-            }
-        }
+        exposeDraggedCards(touchDragItem.type === 'group' ? 'group' : touchDragItem.cardId);
     }
 
     // 4. Opponent Melds (Sapaw)
@@ -1248,7 +2019,7 @@ function handleTouchEnd(e) {
         const meldIndex = parseInt(meldGroup.dataset.meldIndex);
 
         if (playerId && !isNaN(meldIndex)) {
-            handleSapawDrop({ preventDefault: () => { }, dataTransfer: { getData: () => touchDragItem.type === 'group' ? 'group' : touchDragItem.index } }, playerId, meldIndex, meldGroup);
+            handleSapawDrop({ preventDefault: () => { }, dataTransfer: { getData: () => dragData } }, playerId, meldIndex, meldGroup);
         }
     }
 
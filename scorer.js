@@ -2,34 +2,56 @@
  * Tongits Scorer
  * Calculates final scores and chip exchanges.
  */
+
+const GameRules = require('./gameRules');
+
+// Round end types (GameSession.endRound) that multiply the base payment
+const BONUS_END_TYPES = {
+    'tongit': { label: 'Tongit bonus', multiplier: 'tongitMultiplier' },
+    'challenged-fight': { label: 'Challenged fight bonus', multiplier: 'fightMultiplier' }
+};
+
 class Scorer {
-    static calculateChips(winner, losers, endType, sidePotClaimed) {
+    /**
+     * Settles a round: every loser pays the winner an itemised amount.
+     * Mutates player chip counts and returns the breakdown.
+     */
+    static calculateChips(winner, losers, endType, sidePotClaimed, rules = GameRules.defaults()) {
         let results = [];
         let winnerTotal = 0;
 
+        // Winner-side bonuses are the same for every loser
+        const winnerAces = this.countAces(winner);
+        const secretSets = winner.exposedMelds.filter(m => m.isSecret).length;
+
         losers.forEach(loser => {
-            let payment = 1; // Baseline
-            if (endType === 'tongit' || endType === 'challenged-draw') {
-                payment = 3;
+            const items = [{ label: 'Base', amount: rules.basePayment }];
+            const bonus = BONUS_END_TYPES[endType];
+            if (bonus && rules[bonus.multiplier] > 1) {
+                items.push({ label: bonus.label, amount: rules.basePayment * (rules[bonus.multiplier] - 1) });
             }
 
             // Ace bonus (only in winner's hand or exposed melds)
-            const winnerAces = this.countAces(winner);
-            payment += winnerAces;
+            if (rules.aceBonus && winnerAces > 0) {
+                items.push({ label: `Aces (${winnerAces})`, amount: winnerAces });
+            }
 
             // Secret set bonus
-            const secretSets = winner.exposedMelds.filter(m => m.isSecret).length;
-            payment += secretSets * 3;
+            if (secretSets > 0 && rules.secretSetBonus > 0) {
+                items.push({ label: `Secret sets (${secretSets})`, amount: secretSets * rules.secretSetBonus });
+            }
 
             // Burned penalty
-            if (loser.isBurned || !loser.hasOpened) {
-                payment += 1;
+            if ((loser.isBurned || !loser.hasOpened) && rules.burnedPenalty > 0) {
+                items.push({ label: 'Burned penalty', amount: rules.burnedPenalty });
             }
 
+            const payment = items.reduce((sum, item) => sum + item.amount, 0);
             results.push({
                 from: loser.name,
                 to: winner.name,
-                amount: payment
+                amount: payment,
+                items
             });
             winnerTotal += payment;
             loser.chips -= payment;
@@ -43,11 +65,20 @@ class Scorer {
         return { exchanges: results, winnerTotal, sidePotClaimed };
     }
 
+    /**
+     * Aces the winner owns: in hand, or in their own melds. Aces that
+     * opponents laid off on the winner's melds don't count.
+     */
     static countAces(player) {
         let count = 0;
         player.hand.forEach(c => { if (c.rank === 'A') count++; });
         player.exposedMelds.forEach(meld => {
-            meld.cards.forEach(c => { if (c.rank === 'A') count++; });
+            const laidOffByOthers = (meld.layoffs || [])
+                .filter(l => l.playerId !== player.id)
+                .map(l => l.card);
+            meld.cards.forEach(c => {
+                if (c.rank === 'A' && !laidOffByOthers.includes(c)) count++;
+            });
         });
         return count;
     }
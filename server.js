@@ -6,6 +6,12 @@ const os = require('os');
 const { GameSession } = require('./gameState');
 const { GameUtils } = require('./gameEngine');
 const BotAI = require('./botAI');
+const BotStrategies = require('./botStrategies');
+const CardTracker = require('./cardTracker');
+const GameRules = require('./gameRules');
+const HandHistory = require('./handHistory');
+const HintEngine = require('./hintEngine');
+const DailyChallenge = require('./dailyChallenge');
 
 const app = express();
 const server = http.createServer(app);
@@ -22,6 +28,25 @@ app.use(express.static(path.join(__dirname, 'public')));
 
 // Multi-Lobby Manager
 const lobbies = new Map(); // roomId -> GameSession
+const finishedHands = new Map(); // roomId -> [{ roundStart, tgn }] of recent finished hands
+const MAX_FINISHED_HANDS = 20;
+const turnTimers = new Map(); // roomId -> timeout that plays for whoever the turn clock runs out on
+const botMemories = new Map(); // roomId -> Map of botId -> CardTracker (what the bot's seat has seen and learned)
+const dailyRooms = new Map(); // roomId -> { date, recorded } for a player's daily challenge table
+const dailyResults = new Map(); // date -> leaderboard entries (see DailyChallenge.resultFor)
+const dailyAttempts = new Map(); // date -> Set of lower-cased names that have started that day's deal
+const MAX_DAILY_DAYS = 30;
+
+// Moves only a player at the table makes. Hint and replay requests don't
+// count: a client sends those by itself.
+const ACTIVE_EVENTS = new Set([
+    'draw-stock', 'draw-discard', 'discard', 'expose-meld', 'expose-secret-set', 'call-tongit',
+    'sapaw', 'undo', 'submit-turn', 'call-fight', 'fight-response', 'im-back'
+]);
+
+// Bot strategies come from bots/ (see botStrategies.js)
+const botChoices = BotStrategies.load();
+console.log(`Bot strategies: ${botChoices.map(b => b.id).join(', ')}`);
 
 function getGame(roomId) {
     if (!lobbies.has(roomId)) {
@@ -31,51 +56,121 @@ function getGame(roomId) {
     return lobbies.get(roomId);
 }
 
+// Download the room's last finished hand as TGN (Tongits Game Notation).
+// A hand in progress is never served: its seed would reveal every hand.
+app.get('/rooms/:roomId/hand.tgn', (req, res) => {
+    const hands = finishedHands.get(req.params.roomId);
+    const tgn = hands && hands[hands.length - 1].tgn;
+    if (!tgn) return res.status(404).send('No finished hand in this room yet.');
+
+    res.attachment(`tongits-${req.params.roomId}-${tgn.seed}.tgn`);
+    res.type('application/json').send(HandHistory.stringify(tgn));
+});
+
+// What each bot in the room has learned about its opponents this match (for debugging).
+// Profiles come from what the bot's seat saw, so they reveal no hidden cards.
+app.get('/rooms/:roomId/bot-notes', (req, res) => {
+    const memories = botMemories.get(req.params.roomId);
+    const game = lobbies.get(req.params.roomId);
+    if (!memories || !game) return res.status(404).send('No bot has played in this room yet.');
+
+    const nameOf = id => (game.players.find(p => p.id === id) || { name: id }).name;
+    res.json([...memories.values()].map(memory => ({
+        bot: nameOf(memory.playerId),
+        opponents: memory.opponents.summary().map(o => ({ name: nameOf(o.playerId), ...o }))
+    })));
+});
+
 io.on('connection', (socket) => {
     console.log('A user connected:', socket.id);
 
     // Initial connection doesn't join a room yet
     // Client must emit 'join-room' first
 
+    // A move shows the player is at the table
+    socket.use((packet, next) => {
+        if (socket.data.roomId && ACTIVE_EVENTS.has(packet[0])) getGame(socket.data.roomId).markActive(socket.id);
+        next();
+    });
+
     socket.on('join-room', (roomId) => {
+        if (typeof roomId !== 'string' || !roomId) return;
         socket.join(roomId);
         socket.data.roomId = roomId;
         const game = getGame(roomId);
         console.log(`Socket ${socket.id} joined room ${roomId}`);
 
         // Send current state immediately (even if empty)
-        socket.emit('lobby-update', { players: game.players });
+        socket.emit('lobby-update', serializeLobby(game));
     });
 
     socket.on('join-lobby', (data) => {
         const roomId = socket.data.roomId;
-        if (!roomId) return;
+        const name = data && String(data.name || '').trim();
+        if (!roomId || !name) return;
 
         const game = getGame(roomId);
-        console.log(`Player joining room ${roomId}: ${data.name} (${socket.id})`);
+        console.log(`Player joining room ${roomId}: ${name} (${socket.id})`);
 
-        const player = game.addPlayer(socket.id, data.name, 'human');
+        const player = game.addPlayer(socket.id, name, 'human');
         if (player) {
             console.log(`Player added to ${roomId}. Current count: ${game.players.length}`);
-            io.to(roomId).emit('lobby-update', { players: game.players });
             socket.emit('join-success', { playerId: socket.id });
+            io.to(roomId).emit('lobby-update', serializeLobby(game));
         } else {
             console.log(`Player join failed (full) in ${roomId}.`);
             socket.emit('join-fail', { message: 'Lobby full' });
         }
     });
 
+    // Today's deal on a table of its own, against the daily bots
+    socket.on('join-daily', (data) => {
+        const name = data && String(data.name || '').trim();
+        if (!name) return;
+        const date = DailyChallenge.dateKey();
+        // One attempt per name and day, counted from the deal: leaving or
+        // opening a second table doesn't give a fresh look at it
+        const attempts = dailyAttempts.get(date);
+        if (attempts && attempts.has(name.toLowerCase())) {
+            return socket.emit('join-fail', { message: `${name} has already played today's deal.` });
+        }
+
+        const roomId = `daily-${socket.id}`;
+        const game = DailyChallenge.createSession(socket.id, name, date);
+        if (!game) return socket.emit('join-fail', { message: "Today's deal could not be dealt." });
+        recordDailyAttempt(date, name);
+
+        if (socket.data.roomId) socket.leave(socket.data.roomId);
+        socket.join(roomId);
+        socket.data.roomId = roomId;
+        lobbies.set(roomId, game);
+        dailyRooms.set(roomId, { date, recorded: false });
+        console.log(`${name} started the daily deal for ${date} in ${roomId}`);
+
+        socket.emit('join-success', { playerId: socket.id, roomId, daily: date });
+        scheduleTurnClock(roomId);
+        socket.emit('game-started', { gameState: serializeGameState(game, socket.id) });
+        setTimeout(() => checkBotTurn(roomId), 1500);
+    });
+
+    socket.on('get-daily-results', (data) => {
+        const date = data && data.date ? data.date : DailyChallenge.dateKey();
+        if (!DailyChallenge.isValidDateKey(date)) return;
+        socket.emit('daily-results', { date, entries: DailyChallenge.rank(dailyResults.get(date) || []) });
+    });
+
     socket.on('add-bot', (data) => {
         const roomId = socket.data.roomId;
         if (!roomId) return;
         const game = getGame(roomId);
 
+        if (!data || !BotStrategies.get(data.difficulty)) return;
         console.log(`Adding ${data.difficulty} bot to ${roomId}.`);
         const botId = `bot-${Math.random().toString(36).substr(2, 9)}`;
         const bot = game.addPlayer(botId, `Bot ${data.difficulty}`, 'bot', data.difficulty);
         if (bot) {
             console.log(`Bot added. Current count: ${game.players.length}`);
-            io.to(roomId).emit('lobby-update', { players: game.players });
+            io.to(roomId).emit('lobby-update', serializeLobby(game));
         }
     });
 
@@ -84,19 +179,42 @@ io.on('connection', (socket) => {
         if (!roomId) return;
         const game = getGame(roomId);
 
-        game.players = game.players.filter(p => p.id !== id);
-        io.to(roomId).emit('lobby-update', { players: game.players });
+        game.removePlayer(id);
+        io.to(roomId).emit('lobby-update', serializeLobby(game));
+    });
+
+    socket.on('set-rules', (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId || !data) return;
+        const game = getGame(roomId);
+        if (game.setRules(socket.id, data.preset, data.overrides)) {
+            io.to(roomId).emit('lobby-update', serializeLobby(game));
+        }
+    });
+
+    socket.on('set-match-config', (config) => {
+        const roomId = socket.data.roomId;
+        if (!roomId) return;
+        const game = getGame(roomId);
+        if (game.setMatchConfig(socket.id, config || {})) {
+            io.to(roomId).emit('lobby-update', serializeLobby(game));
+        }
     });
 
-    socket.on('start-game', () => {
+    socket.on('start-game', (data) => {
         const roomId = socket.data.roomId;
         if (!roomId) return;
         const game = getGame(roomId);
 
+        // A daily table plays the day's deal once
+        if (dailyRooms.has(roomId)) return;
+
+        // Only the host may pick the seed the first round is dealt from
+        const seed = socket.id === game.hostId ? readSeed(data) : null;
         console.log(`Start game requested for ${roomId}. Players: ${game.players.length}`);
-        if (game.players.length === 3) {
-            game.startRound();
-            console.log("Round started. Sending game-started to players.");
+        if (game.players.length === 3 && game.startMatch(seed)) {
+            console.log("Match started. Sending game-started to players.");
+            scheduleTurnClock(roomId);
             game.players.forEach(p => {
                 io.to(p.id).emit('game-started', { gameState: serializeGameState(game, p.id) });
             });
@@ -104,7 +222,22 @@ io.on('connection', (socket) => {
             // Check if first turn is a bot
             setTimeout(() => checkBotTurn(roomId), 1500);
         } else {
-            console.log("Cannot start: need exactly 3 players.");
+            console.log("Cannot start: need exactly 3 players and no round in progress.");
+        }
+    });
+
+    socket.on('next-round', (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId) return;
+        const game = getGame(roomId);
+
+        if (game.nextRound(socket.id, readSeed(data))) {
+            console.log(`Next round started in ${roomId} (round ${game.match.roundsPlayed + 1}).`);
+            scheduleTurnClock(roomId);
+            game.players.forEach(p => {
+                io.to(p.id).emit('game-started', { gameState: serializeGameState(game, p.id) });
+            });
+            setTimeout(() => checkBotTurn(roomId), 1500);
         }
     });
 
@@ -119,40 +252,99 @@ io.on('connection', (socket) => {
 
     socket.on('draw-discard', (data) => {
         const roomId = socket.data.roomId;
-        if (!roomId) return;
+        if (!roomId || !data) return;
         const game = getGame(roomId);
-        if (game.drawFromDiscard(socket.id, data.meldIndexes || [])) {
+        if (game.drawFromDiscard(socket.id, data.cardIds || [])) {
             broadcastUpdate(roomId);
         }
     });
 
     socket.on('discard', (data) => {
         const roomId = socket.data.roomId;
-        if (!roomId) return;
+        if (!roomId || !data) return;
         const game = getGame(roomId);
-        if (game.discard(socket.id, data.cardIndex)) {
+        if (game.discard(socket.id, data.cardId)) {
             broadcastUpdate(roomId);
         }
     });
 
     socket.on('expose-meld', (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId || !data) return;
+        const game = getGame(roomId);
+        if (game.exposeMeld(socket.id, data.cardIds)) {
+            broadcastUpdate(roomId);
+        }
+    });
+
+    socket.on('expose-secret-set', (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId || !data) return;
+        const game = getGame(roomId);
+        if (game.exposeSecretSet(socket.id, data.cardIds)) {
+            broadcastUpdate(roomId);
+        }
+    });
+
+    socket.on('call-tongit', (data) => {
         const roomId = socket.data.roomId;
         if (!roomId) return;
         const game = getGame(roomId);
-        if (game.exposeMeld(socket.id, data.cardIndexes)) {
+        if (game.callTongit(socket.id, (data && data.discardCardId) ?? null)) {
             broadcastUpdate(roomId);
         }
     });
 
     socket.on('sapaw', (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId || !data) return;
+        const game = getGame(roomId);
+        if (game.sapaw(socket.id, data.targetPlayerId, data.meldIndex, data.cardId)) {
+            broadcastUpdate(roomId);
+        }
+    });
+
+    socket.on('undo', () => {
+        const roomId = socket.data.roomId;
+        if (!roomId) return;
+        const game = getGame(roomId);
+        if (game.undo(socket.id)) {
+            broadcastUpdate(roomId);
+        }
+    });
+
+    socket.on('im-back', () => {
         const roomId = socket.data.roomId;
         if (!roomId) return;
         const game = getGame(roomId);
-        if (game.sapaw(socket.id, data.targetPlayerId, data.meldIndex, data.cardIndex)) {
+        if (game.setAway(socket.id, false)) {
             broadcastUpdate(roomId);
         }
     });
 
+    // Suggested moves for the asking player, from what they can see
+    socket.on('get-hint', () => {
+        const roomId = socket.data.roomId;
+        if (!roomId) return;
+        const game = getGame(roomId);
+        if (!game.rules.allowHints) {
+            return socket.emit('hint', { hint: null, message: 'Hints are turned off in this room.' });
+        }
+        socket.emit('hint', { hint: HintEngine.getHints(serializeGameState(game, socket.id), socket.id) });
+    });
+
+    // A whole turn in one message, applied all or nothing (see GameSession.submitTurn)
+    socket.on('submit-turn', (plan) => {
+        const roomId = socket.data.roomId;
+        if (!roomId) return;
+        const game = getGame(roomId);
+        if (game.submitTurn(socket.id, plan)) {
+            broadcastUpdate(roomId);
+        } else {
+            socket.emit('turn-rejected', { message: 'That turn is not legal. Nothing was played.' });
+        }
+    });
+
     socket.on('call-fight', () => {
         const roomId = socket.data.roomId;
         if (!roomId) return;
@@ -162,8 +354,22 @@ io.on('connection', (socket) => {
         }
     });
 
+    socket.on('fight-response', (data) => {
+        const roomId = socket.data.roomId;
+        if (!roomId || !data) return;
+        const game = getGame(roomId);
+        if (game.respondToFight(socket.id, data.response)) {
+            broadcastUpdate(roomId);
+        }
+    });
+
     function broadcastUpdate(roomId) {
         const game = getGame(roomId);
+        if (game.status === 'ended') {
+            recordFinishedHand(roomId, game);
+            recordDailyResult(roomId, game);
+        }
+        scheduleTurnClock(roomId);
         game.players.forEach(p => {
             io.to(p.id).emit('game-update', { gameState: serializeGameState(game, p.id) });
         });
@@ -176,52 +382,114 @@ io.on('connection', (socket) => {
         const game = getGame(roomId);
         if (game.status !== 'playing') return;
 
+        // Bots answer a fight call even when it isn't their turn
+        if (game.phase === 'fight-response') {
+            const responder = game.getPendingFightResponders().find(p => p.type === 'bot' || p.isAway);
+            if (responder) {
+                const seatView = session => serializeGameState(session, responder.id);
+                BotStrategies.answerFight(game, responder, botMemory(roomId, game, responder), seatView);
+                broadcastUpdate(roomId);
+            }
+            return;
+        }
+
         const currentPlayer = game.getCurrentPlayer();
-        if (!currentPlayer || currentPlayer.type !== 'bot') return;
+        if (!currentPlayer || (currentPlayer.type !== 'bot' && !currentPlayer.isAway)) return;
 
         console.log(`Bot's turn in ${roomId}: ${currentPlayer.name} (${game.phase})`);
 
-        // Hard bots get full game knowledge (all hands visible)
-        const botState = currentPlayer.difficulty === 'hard'
-            ? serializeGameStateForHardBot(game, currentPlayer.id)
-            : serializeGameState(game, currentPlayer.id);
-        const decision = BotAI.getAction(currentPlayer, botState);
-
-        if (game.phase === 'draw') {
-            if (decision === 'draw-discard') {
-                const topCard = game.discardPile[game.discardPile.length - 1];
-                const melds = GameUtils.findPossibleMelds([...currentPlayer.hand, topCard]);
-                const bestMeld = melds.find(m => {
-                    return m.some(c => c.rank === topCard.rank && c.suit === topCard.suit);
-                });
-
-                if (bestMeld) {
-                    const handIndices = BotAI.getIndicesForMeld(currentPlayer.hand, bestMeld.filter(c => c.rank !== topCard.rank || c.suit !== topCard.suit));
-                    game.drawFromDiscard(currentPlayer.id, handIndices);
-                } else {
-                    game.drawFromStock(currentPlayer.id);
-                }
+        const seatView = session => serializeGameState(session, currentPlayer.id);
+        const played = BotStrategies.playTurn(game, currentPlayer, botMemory(roomId, game, currentPlayer), seatView);
+        if (played === 'fight') {
+            console.log(`Bot ${currentPlayer.name} called FIGHT!`);
+        } else if (!played) {
+            console.log(`Bot ${currentPlayer.name} could not play its turn.`);
+            return;
+        }
+        broadcastUpdate(roomId);
+    }
+
+    /**
+     * (Re)arm the room's turn clock after the game changed. A clock that
+     * keeps running for the same turn keeps its deadline.
+     */
+    function scheduleTurnClock(roomId) {
+        const game = getGame(roomId);
+        const previous = game.turnClock;
+        const clock = game.updateTurnClock();
+        if (clock === previous) return;
+
+        clearTimeout(turnTimers.get(roomId));
+        turnTimers.delete(roomId);
+        if (clock) {
+            turnTimers.set(roomId, setTimeout(() => playTimedOutTurn(roomId, clock), clock.deadline - Date.now()));
+        }
+    }
+
+    /**
+     * The clock ran out: fold a pending fight answer, or draw from stock and
+     * discard the card the medium bot would, for everyone it was waiting on
+     */
+    function playTimedOutTurn(roomId, clock) {
+        const game = getGame(roomId);
+        if (game.turnClock !== clock) return;
+        turnTimers.delete(roomId);
+
+        clock.playerIds.forEach(playerId => {
+            const player = game.players.find(p => p.id === playerId);
+            if (!player || game.status !== 'playing') return;
+            console.log(`Turn clock ran out for ${player.name} in ${roomId}.`);
+
+            if (game.phase === 'fight-response') {
+                game.respondToFight(playerId, 'fold');
             } else {
-                game.drawFromStock(currentPlayer.id);
-            }
-            broadcastUpdate(roomId);
-        } else if (game.phase === 'action' && decision) {
-            if (decision.action === 'fight') {
-                // Hard bot calls fight
-                if (game.callFight(currentPlayer.id)) {
-                    console.log(`Bot ${currentPlayer.name} called FIGHT!`);
-                    broadcastUpdate(roomId);
-                }
-            } else if (decision.action === 'expose') {
-                game.exposeMeld(currentPlayer.id, decision.cardIndexes);
-                broadcastUpdate(roomId);
-            } else if (decision.action === 'sapaw') {
-                game.sapaw(currentPlayer.id, decision.targetPlayerId, decision.meldIndex, decision.cardIndex);
-                broadcastUpdate(roomId);
-            } else if (decision.action === 'discard') {
-                game.discard(currentPlayer.id, decision.cardIndex);
-                broadcastUpdate(roomId);
+                if (game.phase === 'draw') game.drawFromStock(playerId);
+                if (game.phase === 'action') game.discard(playerId, player.hand[BotAI.findBestDiscard(player.hand)].id);
             }
+            game.recordTimeout(playerId);
+        });
+        broadcastUpdate(roomId);
+    }
+
+    // --- Replays ---
+
+    socket.on('list-hands', () => {
+        const hands = finishedHands.get(socket.data.roomId) || [];
+        socket.emit('hand-list', hands.map(({ tgn }, index) => {
+            const winner = tgn.result.players.find(p => p.isWinner);
+            return { index, type: tgn.result.type, winnerName: winner && winner.name, seed: tgn.seed, moveCount: tgn.moves.length };
+        }));
+    });
+
+    socket.on('get-replay', (data) => {
+        const hands = finishedHands.get(socket.data.roomId) || [];
+        // Without an index, the room's latest hand
+        const index = data && Number.isInteger(data.index) ? data.index : hands.length - 1;
+        const hand = hands[index];
+        if (!hand) return socket.emit('replay-error', { message: 'That hand is no longer available.' });
+        emitReplay(hand.tgn);
+    });
+
+    // Replay a TGN file the player uploaded
+    socket.on('load-tgn', (data) => {
+        const text = data && data.text;
+        if (typeof text === 'string' && text.length > HandHistory.MAX_TGN_LENGTH) {
+            return socket.emit('replay-error', { message: 'That file is too large to be a single hand.' });
+        }
+        const tgn = HandHistory.parse(text);
+        if (!tgn) return socket.emit('replay-error', { message: 'Not a TGN file.' });
+        emitReplay(tgn);
+    });
+
+    function emitReplay(tgn) {
+        // An uploaded file is untrusted: whatever it breaks, the server stays up
+        try {
+            const { valid, error } = HandHistory.validate(tgn);
+            if (!valid) return socket.emit('replay-error', { message: error });
+            socket.emit('replay-data', buildReplay(tgn));
+        } catch (err) {
+            console.warn(`Replay failed: ${err.message}`);
+            socket.emit('replay-error', { message: 'That hand could not be replayed.' });
         }
     }
 
@@ -232,25 +500,37 @@ io.on('connection', (socket) => {
         console.log('User disconnected from', roomId, socket.id);
         const game = getGame(roomId);
 
-        const playerIndex = game.players.findIndex(p => p.id === socket.id);
-        if (playerIndex !== -1) {
-            const player = game.players[playerIndex];
-            game.players.splice(playerIndex, 1);
+        const wasPlaying = game.status === 'playing';
+        const player = game.removePlayer(socket.id);
+        if (player) {
             console.log(`Player ${player.name} removed from ${roomId}. Count: ${game.players.length}`);
 
-            if (game.status === 'playing') {
+            // The round goes on without them: their turn or fight answer may have been next
+            if (wasPlaying && !dailyRooms.has(roomId)) {
                 game.addLog(`${player.name} disconnected.`);
-                io.to(roomId).emit('game-update', { gameState: serializeGameState(game, null) });
+                broadcastUpdate(roomId);
             }
-            io.to(roomId).emit('lobby-update', { players: game.players });
+            io.to(roomId).emit('lobby-update', serializeLobby(game));
+        }
+
+        // A daily table belongs to the one player who sat down at it
+        if (dailyRooms.has(roomId)) {
+            clearTimeout(turnTimers.get(roomId));
+            turnTimers.delete(roomId);
+            dailyRooms.delete(roomId);
+            botMemories.delete(roomId);
+            finishedHands.delete(roomId);
+            lobbies.delete(roomId);
+            return;
         }
 
         const humanCount = game.players.filter(p => p.type === 'human').length;
         if (humanCount === 0) {
             console.log(`No human players left in ${roomId}. Resetting game session.`);
             game.reset();
+            botMemories.delete(roomId);
             game.date = new Date();
-            io.to(roomId).emit('lobby-update', { players: [] });
+            io.to(roomId).emit('lobby-update', serializeLobby(game));
             io.to(roomId).emit('game-reset');
 
             // Clean up empty lobbies after a while? 
@@ -262,49 +542,145 @@ io.on('connection', (socket) => {
     });
 });
 
-function serializeGameState(game, forPlayerId) {
+/**
+ * Keep the room's finished hand for download and replay. A finished hand is
+ * broadcast more than once, so the same round replaces its earlier entry.
+ */
+function recordFinishedHand(roomId, game) {
+    if (!finishedHands.has(roomId)) finishedHands.set(roomId, []);
+    const hands = finishedHands.get(roomId);
+    const entry = { roundStart: game.roundStart, tgn: HandHistory.export(game) };
+
+    const last = hands[hands.length - 1];
+    if (last && last.roundStart === game.roundStart) {
+        hands[hands.length - 1] = entry;
+    } else {
+        hands.push(entry);
+        if (hands.length > MAX_FINISHED_HANDS) hands.shift();
+    }
+}
+
+/**
+ * Count a started daily hand against the player's name for that day. Only
+ * the most recent days are kept.
+ */
+function recordDailyAttempt(date, name) {
+    if (!dailyAttempts.has(date)) dailyAttempts.set(date, new Set());
+    dailyAttempts.get(date).add(name.toLowerCase());
+
+    const days = [...dailyAttempts.keys()].sort();
+    days.slice(0, days.length - MAX_DAILY_DAYS).forEach(day => dailyAttempts.delete(day));
+}
+
+/**
+ * Put a finished daily hand on its day's leaderboard, once. Only the most
+ * recent days are kept.
+ */
+function recordDailyResult(roomId, game) {
+    const daily = dailyRooms.get(roomId);
+    if (!daily || daily.recorded) return;
+    const player = game.players.find(p => p.type === 'human');
+    if (!player) return;
+
+    daily.recorded = true;
+    if (!dailyResults.has(daily.date)) dailyResults.set(daily.date, []);
+    dailyResults.get(daily.date).push(DailyChallenge.resultFor(game, player.id));
+
+    const days = [...dailyResults.keys()].sort();
+    days.slice(0, days.length - MAX_DAILY_DAYS).forEach(day => dailyResults.delete(day));
+}
+
+/**
+ * Step through a valid TGN hand and capture the table after the deal and
+ * after every move, all hands face-up. Each frame carries only the log
+ * lines its move added. The decisive step is the fight call if the hand
+ * ended in a fight, otherwise the last move.
+ */
+function buildReplay(tgn) {
+    const game = HandHistory.load(tgn);
+    let lastLog = null;
+
+    const capture = move => {
+        const start = game.logs.indexOf(lastLog) + 1;
+        const logs = game.logs.slice(start);
+        lastLog = game.logs[game.logs.length - 1];
+        // Copy: the serialized hands and piles are the game's live arrays
+        const state = JSON.parse(JSON.stringify(serializeGameState(game, null, true)));
+        delete state.logs;
+        return { state, move, logs };
+    };
+
+    const frames = [capture(null)];
+    tgn.moves.forEach(move => {
+        HandHistory.applyMove(game, move);
+        frames.push(capture(move));
+    });
+
+    const fightStep = frames.map(f => f.move && f.move.type).lastIndexOf('call-fight');
     return {
-        players: game.players.map(p => ({
-            id: p.id,
-            name: p.name,
-            type: p.type,
-            handCount: p.hand.length,
-            hand: (p.id === forPlayerId || game.status === 'ended') ? p.hand : [], // Send hand to owner OR if game ended
-            exposedMelds: p.exposedMelds,
-            chips: p.chips,
-            hasOpened: p.hasOpened,
-            openedThisTurn: p.openedThisTurn,
-            isBurned: p.isBurned
-        })),
-        discardPile: game.discardPile,
-        turnIndex: game.turnIndex,
-        phase: game.phase,
-        dealerIndex: game.dealerIndex,
-        stockCount: game.deck.count,
-        sidePot: game.sidePot,
-        status: game.status,
-        roundResults: game.roundResults,
-        logs: game.logs
+        seed: tgn.seed,
+        frames,
+        decisiveStep: fightStep > 0 ? fightStep : frames.length - 1
+    };
+}
+
+/**
+ * The card memory of a bot's seat, caught up on everything that seat has
+ * seen happen in the room since it last looked
+ */
+function botMemory(roomId, game, player) {
+    if (!botMemories.has(roomId)) botMemories.set(roomId, new Map());
+    const memories = botMemories.get(roomId);
+    if (!memories.has(player.id)) memories.set(player.id, new CardTracker(player.id));
+
+    const memory = memories.get(player.id);
+    memory.observe(game.eventsVisibleTo(player.id, memory.nextSeq));
+    return memory;
+}
+
+/**
+ * Optional round seed from a client payload: null when absent, otherwise a
+ * string that GameSession validates (anything but hex digits is rejected)
+ */
+function readSeed(data) {
+    if (!data || data.seed === undefined || data.seed === null || data.seed === '') return null;
+    return String(data.seed).trim().toLowerCase();
+}
+
+function serializeLobby(game) {
+    return {
+        players: game.players.map(p => ({ id: p.id, name: p.name, type: p.type, chips: p.chips, isAway: p.isAway })), // Never hands
+        hostId: game.hostId,
+        matchConfig: game.matchConfig,
+        rules: game.rules,
+        rulePresets: Object.keys(GameRules.PRESETS),
+        botStrategies: botChoices
     };
 }
 
 /**
- * Serialize game state for hard bots - they see ALL hands
+ * @param revealAll show every hand and secret set (replays of finished hands)
  */
-function serializeGameStateForHardBot(game, forPlayerId) {
+function serializeGameState(game, forPlayerId, revealAll = false) {
+    const isVisible = p => revealAll || p.id === forPlayerId || game.status === 'ended';
     return {
         players: game.players.map(p => ({
             id: p.id,
             name: p.name,
             type: p.type,
-            difficulty: p.difficulty,
             handCount: p.hand.length,
-            hand: p.hand, // Hard bot sees ALL hands
-            exposedMelds: p.exposedMelds,
+            hand: isVisible(p) ? p.hand : [], // Send hand to owner OR if game ended
+            handValue: isVisible(p) ? GameUtils.calculateHandValue(p.hand) : null,
+            exposedMelds: p.exposedMelds.map(m => serializeMeld(m, isVisible(p))),
             chips: p.chips,
             hasOpened: p.hasOpened,
             openedThisTurn: p.openedThisTurn,
-            isBurned: p.isBurned
+            isBurned: p.isBurned,
+            consecutiveWins: p.consecutiveWins,
+            fightBlockReason: game.status === 'playing' && p.id === forPlayerId ? game.getFightBlockReason(p) : null, // Worded for its own player
+            tongitOptions: p.id === forPlayerId ? game.getTongitOptions(p) : null,
+            canUndo: p.id === forPlayerId && game.canUndo(p),
+            isAway: p.isAway
         })),
         discardPile: game.discardPile,
         turnIndex: game.turnIndex,
@@ -313,11 +689,35 @@ function serializeGameStateForHardBot(game, forPlayerId) {
         stockCount: game.deck.count,
         sidePot: game.sidePot,
         status: game.status,
+        fight: game.fight,
         roundResults: game.roundResults,
+        hostId: game.hostId,
+        match: game.match,
+        rules: game.rules,
+        seed: game.status === 'ended' ? game.seed : null, // The seed would reveal every hand and the stock
+        turnClock: serializeTurnClock(game),
         logs: game.logs
     };
 }
 
+/**
+ * Who the turn clock is waiting on and how long they have left (a duration,
+ * so it doesn't depend on the client's clock)
+ */
+function serializeTurnClock(game) {
+    const clock = game.turnClock;
+    if (!clock) return null;
+    return { playerIds: clock.playerIds, remainingMs: Math.max(0, clock.deadline - Date.now()), seconds: clock.seconds };
+}
+
+/**
+ * Secret sets stay face-down for everyone but their owner until the round ends
+ */
+function serializeMeld(meld, revealSecret) {
+    if (!meld.isSecret || revealSecret) return meld;
+    return { ...meld, cards: [], cardCount: meld.cards.length };
+}
+
 function getLocalIPAddress() {
     const interfaces = os.networkInterfaces();
     for (const name of Object.keys(interfaces)) {
@@ -1,7 +1,7 @@
 /**
  * Unit tests for Tongits Game Logic
  */
-const { Deck, GameUtils } = require('./gameEngine');
+const { Card, Deck, GameUtils } = require('./gameEngine');
 const { GameSession } = require('./gameState');
 
 function testDeck() {
@@ -13,6 +13,77 @@ function testDeck() {
     console.log('Drawn card:', card.toString(), 'Remaining:', deck.count);
 }
 
+function testSeededDeal() {
+    console.log('--- Testing Seeded Deal ---');
+    const deal = seed => {
+        const session = new GameSession();
+        ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'bot', 'easy'));
+        session.startRound(seed);
+        return JSON.stringify({ dealer: session.dealerIndex, hands: session.players.map(p => p.hand.map(c => c.id)) });
+    };
+    console.log('Same seed, same deal:', deal('1234') === deal('1234')); // true
+    console.log('Other seed, other deal:', deal('1234') !== deal('4321')); // true
+
+    const { isValidSeed, generateSeed } = require('./gameEngine');
+    console.log('Dealt seeds are 128-bit hex:', /^[0-9a-f]{32}$/.test(generateSeed())); // true
+    console.log('Numbers and other text rejected:', !isValidSeed(1234), !isValidSeed('12g4'), !isValidSeed('')); // true true true
+}
+
+function testEventReplay() {
+    console.log('--- Testing Event Replay ---');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.startRound('2024');
+
+    // Dealer discards, then the next player draws and discards
+    let player = session.getCurrentPlayer();
+    session.discard(player.id, player.hand[0].id);
+    player = session.getCurrentPlayer();
+    session.drawFromStock(player.id);
+    session.discard(player.id, player.hand[0].id);
+
+    console.log('Events:', session.events.map(e => e.type).join(', '));
+    const rebuilt = GameSession.replay(session.events);
+    const snapshot = game => JSON.stringify({ players: game.players, discardPile: game.discardPile, stock: game.deck.cards, phase: game.phase });
+    console.log('Replay matches:', snapshot(rebuilt) === snapshot(session)); // true
+}
+
+function testHandHistory() {
+    console.log('--- Testing Hand History (TGN) ---');
+    const HandHistory = require('./handHistory');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.startRound('77');
+    const player = session.getCurrentPlayer();
+    session.discard(player.id, player.hand[0].id);
+
+    const tgn = HandHistory.parse(HandHistory.stringify(HandHistory.export(session)));
+    console.log('Valid file:', HandHistory.validate(tgn).valid); // true
+
+    // Discarding out of turn is an illegal move
+    tgn.moves[0].actorId = session.getCurrentPlayer().id;
+    console.log('Tampered file rejected:', HandHistory.validate(tgn).error); // Move 1 (discard) is illegal.
+
+    // A player leaving mid-round is part of the hand
+    const left = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => left.addPlayer(id, id, 'human'));
+    left.startRound('77');
+    const dealer = left.getCurrentPlayer();
+    left.discard(dealer.id, dealer.hand[0].id);
+    left.removePlayer(left.getCurrentPlayer().id);
+    left.removePlayer(dealer.id);
+    const stayer = left.getCurrentPlayer();
+    left.drawFromStock(stayer.id);
+    left.discard(stayer.id, stayer.hand[0].id);
+    console.log('Hand with leavers replays:', HandHistory.validate(HandHistory.export(left)).valid); // true
+
+    tgn.moves = [null];
+    console.log('Null move rejected:', HandHistory.validate(tgn).error); // Move 1 is not a move.
+
+    tgn.moves = Array(501).fill(tgn.moves[0]);
+    console.log('Oversized file rejected:', HandHistory.validate(tgn).error, HandHistory.load(tgn)); // More than 500 moves: not a single hand. null
+}
+
 function testMeldValidation() {
     console.log('--- Testing Meld Validation ---');
     const { Card } = require('./gameEngine');
@@ -39,6 +110,70 @@ function testMeldValidation() {
     console.log('Is Run (Q-K-A - should be false):', GameUtils.isRun(invalidRun)); // false
 }
 
+function testMeldPartition() {
+    console.log('--- Testing Meld Partition ---');
+    const { Card } = require('./gameEngine');
+
+    // Greedy takes the whole 5♠-8♠ run and strands 8♥ 8♦; the best
+    // partition gives 8♠ to the set instead.
+    const hand = [
+        new Card('♠', '5'), new Card('♠', '6'), new Card('♠', '7'), new Card('♠', '8'),
+        new Card('♥', '8'), new Card('♦', '8'),
+        new Card('♥', 'K')
+    ];
+    const best = GameUtils.findBestMeldPartition(hand);
+    console.log('Best value:', best.value); // 10
+    console.log('Melds:', best.melds.map(m => m.map(c => c.toString()).join(' ')));
+    console.log('Deadwood:', best.deadwood.map(c => c.toString())); // [ 'K♥' ]
+
+    // A 4-card set can give up one card to a run
+    const overlap = [
+        new Card('♠', '8'), new Card('♥', '8'), new Card('♦', '8'), new Card('♣', '8'),
+        new Card('♠', '9'), new Card('♠', '10')
+    ];
+    console.log('Overlap value:', GameUtils.calculateHandValue(overlap)); // 0
+}
+
+function testConcealedMelds() {
+    console.log('--- Testing Concealed Melds ---');
+    const { Card } = require('./gameEngine');
+    const cards = specs => specs.map(([suit, rank]) => new Card(suit, rank));
+
+    const kings = cards([['♠', 'K'], ['♥', 'K'], ['♦', 'K'], ['♣', 'K'], ['♠', '5'], ['♠', '6'], ['♠', '7']]);
+    console.log('Four kings kept whole:', GameUtils.findConcealedMelds(kings)[0].length === 4); // true
+
+    // The 7♠ belongs in the run, so the sevens cannot form a four-of-a-kind
+    const sevens = cards([['♠', '5'], ['♠', '6'], ['♠', '7'], ['♠', '8'], ['♥', '7'], ['♦', '7'], ['♣', '7']]);
+    console.log('Melds without a four:', GameUtils.findConcealedMelds(sevens).map(m => m.length)); // [4, 3]
+
+    const loose = cards([['♠', '5'], ['♠', '6'], ['♠', '7'], ['♥', 'K']]);
+    console.log('Deadwood blocks Tongit:', GameUtils.findConcealedMelds(loose) === null); // true
+}
+
+function testScorer() {
+    console.log('--- Testing Scorer ---');
+    const Scorer = require('./scorer');
+    const { Card } = require('./gameEngine');
+    const { Player } = require('./gameState');
+
+    // Rules scenario 1: Tongit with two Aces in melds and a secret set of Queens
+    const winner = new Player('w', 'Winner');
+    winner.hasOpened = true;
+    winner.exposedMelds = [
+        { cards: [new Card('♠', 'A'), new Card('♠', '2'), new Card('♠', '3')], isSecret: false, layoffs: [] },
+        { cards: [new Card('♥', 'A'), new Card('♥', '2'), new Card('♥', '3')], isSecret: false, layoffs: [] },
+        { cards: ['♠', '♥', '♦', '♣'].map(suit => new Card(suit, 'Q')), isSecret: true, layoffs: [] }
+    ];
+    const opened = new Player('o', 'Opened');
+    opened.hasOpened = true;
+    const burned = new Player('b', 'Burned');
+
+    const result = Scorer.calculateChips(winner, [opened, burned], 'tongit', 0);
+    console.log('Opened pays:', result.exchanges[0].amount); // 8
+    console.log('Burned pays:', result.exchanges[1].amount); // 9
+    console.log('Winner receives:', result.winnerTotal); // 17
+}
+
 function testGameSession() {
     console.log('--- Testing Game Session ---');
     const session = new GameSession();
@@ -59,11 +194,336 @@ function testGameSession() {
     session.drawFromStock(currentPlayer.id);
     console.log('After drawing, Phase:', session.phase, 'Hand size:', currentPlayer.hand.length);
 
+    // Cards are referred to by id; unknown or repeated ids are rejected
+    const firstId = currentPlayer.hand[0].id;
+    console.log('Unknown card rejected:', !session.discard(currentPlayer.id, 999)); // true
+    console.log('Duplicate ids rejected:', !session.exposeMeld(currentPlayer.id, [firstId, firstId, firstId])); // true
+
     // Test discarding
-    session.discard(currentPlayer.id, 0);
+    session.discard(currentPlayer.id, firstId);
     console.log('After discarding, Phase:', session.phase, 'Discard count:', session.discardPile.length);
 }
 
+function testUndo() {
+    console.log('--- Testing Undo ---');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.startRound('9');
+
+    const player = session.getCurrentPlayer();
+    const other = session.players.find(p => p !== player);
+    player.hand = [new Card('♠', '7', 100), new Card('♠', '8', 101), new Card('♠', '9', 102), new Card('♦', '7', 103), new Card('♣', '2', 104)];
+    other.exposedMelds = [{ cards: [new Card('♦', '4', 105), new Card('♦', '5', 106), new Card('♦', '6', 107)], isSecret: false, isSapawedByOthers: false, layoffs: [] }];
+
+    session.exposeMeld(player.id, [100, 101, 102]);
+    session.sapaw(player.id, other.id, 0, 103);
+    console.log('Undo sapaw:', session.undo(player.id), 'Meld size:', other.exposedMelds[0].cards.length, 'Sapawed:', other.exposedMelds[0].isSapawedByOthers); // true 3 false
+    console.log('Undo expose:', session.undo(player.id), 'Hand size:', player.hand.length, 'Opened:', player.hasOpened, player.openedThisTurn); // true 5 false false
+    console.log('Nothing left to undo:', !session.undo(player.id)); // true
+    console.log('Meld index must be a number:', !session.submitTurn(player.id, { plays: [{ type: 'sapaw', targetPlayerId: other.id, meldIndex: '__proto__', cardId: 103 }], discardCardId: 104 })); // true
+
+    session.rules.allowUndo = false;
+    session.exposeMeld(player.id, [100, 101, 102]);
+    console.log('Undo off rejected:', !session.undo(player.id)); // true
+
+    session.rules.allowUndo = true;
+    session.discard(player.id, 104);
+    console.log('Undo after discard rejected:', !session.undo(player.id)); // true
+}
+
+function testLeavingMidRound() {
+    console.log('--- Testing a Player Leaving Mid-Round ---');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.startRound('9');
+    session.players.forEach(p => { p.hasOpened = true; });
+    session.phase = 'draw';
+
+    const caller = session.getCurrentPlayer();
+    session.callFight(caller.id);
+    const [first, second] = session.getPendingFightResponders();
+    session.respondToFight(first.id, 'challenge');
+    session.removePlayer(second.id);
+    console.log('Fight settles without the leaver:', session.status, session.roundResults.players.length, session.roundResults.challenged.join() === first.id); // ended 2 true
+
+    // The player whose turn it is leaves: the next seat draws, and the two left take turns
+    const table = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => table.addPlayer(id, id, 'human'));
+    table.startRound('9');
+    const leaver = table.getCurrentPlayer();
+    const next = table.players[(table.turnIndex + 1) % 3];
+    table.removePlayer(leaver.id);
+    console.log('Turn passes on:', table.getCurrentPlayer() === next, table.phase); // true draw
+    table.drawFromStock(next.id);
+    table.discard(next.id, next.hand[0].id);
+    const last = table.getCurrentPlayer();
+    console.log('Two seats take turns:', last !== next, table.players.includes(last)); // true true
+
+    // The last card's drawer leaves before discarding: the round ends on the cards left
+    table.deck.cards = table.deck.cards.slice(0, 1);
+    table.drawFromStock(last.id);
+    table.removePlayer(last.id);
+    console.log('Deck-empty round ends:', table.status, table.roundResults.type, table.roundResults.players.length); // ended deck-empty 1
+}
+
+function testSubmitTurn() {
+    console.log('--- Testing Submit Turn ---');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.startRound('13');
+
+    const player = session.getCurrentPlayer();
+    player.hand = [new Card('♠', '7', 100), new Card('♠', '8', 101), new Card('♠', '9', 102), new Card('♦', '7', 103), new Card('♣', '2', 104)];
+    const badPlan = { plays: [{ type: 'expose', cardIds: [100, 101, 102] }, { type: 'expose', cardIds: [103, 104] }], discardCardId: 103 };
+    console.log('Illegal plan rejected:', !session.submitTurn(player.id, badPlan)); // true
+    console.log('Nothing applied:', player.hand.length, player.exposedMelds.length, session.phase); // 5 0 action
+
+    const plan = { plays: [{ type: 'expose', cardIds: [100, 101, 102] }], discardCardId: 104 };
+    console.log('Plan applied:', session.submitTurn(player.id, plan), 'Hand:', player.hand.length, 'Melds:', player.exposedMelds.length); // true 1 1
+    console.log('Turn passed:', session.getCurrentPlayer() !== player, session.phase); // true draw
+}
+
+function testTurnClock() {
+    console.log('--- Testing Turn Clock ---');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.rules.turnSeconds = 30;
+    session.startRound('11');
+
+    const player = session.getCurrentPlayer();
+    const clock = session.updateTurnClock(1000);
+    console.log('Waiting on current player:', clock.playerIds.join() === player.id, 'Deadline:', clock.deadline); // true 31000
+    console.log('Same turn keeps the clock:', session.updateTurnClock(5000) === clock); // true
+
+    session.recordTimeout(player.id);
+    console.log('Warned, not away:', player.isAway); // false
+    session.recordTimeout(player.id);
+    console.log('Away after two timeouts:', player.isAway, 'Clock stops:', session.updateTurnClock() === null); // true true
+    console.log('Back:', session.setAway(player.id, false), !player.isAway); // true true
+}
+
+function testHints() {
+    console.log('--- Testing Hints ---');
+    const HintEngine = require('./hintEngine');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'human'));
+    session.startRound('3');
+
+    const player = session.getCurrentPlayer();
+    const other = session.players.find(p => p !== player);
+    player.hand = [new Card('♠', '5', 100), new Card('♠', '6', 101), new Card('♠', '7', 102), new Card('♣', 'K', 103), new Card('♦', '2', 104)];
+    other.exposedMelds = [{ cards: [new Card('♥', '2', 105), new Card('♣', '2', 106), new Card('♠', '2', 107)], isSecret: false, isSapawedByOthers: false, layoffs: [] }];
+
+    const hint = HintEngine.getHints(session, player.id);
+    console.log('Deadwood:', hint.deadwood); // 12
+    console.log('Expose:', hint.melds.map(m => m.cards.join(' ')).join(), '->', hint.melds[0].deadwood); // 5♠ 6♠ 7♠ -> 12
+    console.log('Sapaw:', hint.sapaws[0].cards.join(), '->', hint.sapaws[0].deadwood); // 2♦ -> 10
+    console.log('Discard:', hint.discard.cards.join(), '->', hint.discard.deadwood, '|', hint.discard.reason); // K♣ -> 2
+    console.log('No hint out of turn:', HintEngine.getHints(session, other.id)); // null
+}
+
+function testMediumBot() {
+    console.log('--- Testing Medium Bot ---');
+    const BotAI = require('./botAI');
+    const GameRules = require('./gameRules');
+    const cards = text => text.split(' ').map((c, i) => new Card(c.slice(-1), c.slice(0, -1), i));
+    const act = (hand, { phase = 'action', hasOpened = false, melds = [] } = {}) => {
+        const player = { id: 'me', difficulty: 'medium', hand, hasOpened };
+        const table = [{ id: 'me', hasOpened, exposedMelds: [], fightBlockReason: null },
+            { id: 'op', hasOpened: true, exposedMelds: melds.map(m => ({ cards: m, isSecret: false })) }];
+        return BotAI.getAction(player, { phase, players: table, discardPile: [], stockCount: 20, rules: GameRules.defaults() });
+    };
+
+    // One meld and 14 unmelded points: not enough to open
+    const discard = act(cards('5♠ 6♠ 7♠ 2♥ 4♣ 8♦'));
+    console.log('Holds a lone meld, throws the top loner:', discard.action, discard.cardId); // discard 5
+    console.log('Four of a kind goes down face-down:', act(cards('9♠ 9♥ 9♦ 9♣ 2♥ 4♣')).action); // secret-set
+    const twoMelds = act(cards('2♠ 3♠ 4♠ K♠ K♥ K♦ 7♣'));
+    console.log('Opens with two melds, face cards kept hidden:', twoMelds.action, twoMelds.cardIds.join()); // expose 0,1,2
+    const layoff = act(cards('3♥ K♣ 8♦'), { hasOpened: true, melds: [cards('3♠ 3♦ 3♣'), cards('K♠ K♥ K♦')] });
+    console.log('Lays off a K before a 3:', layoff.action, layoff.cardId, layoff.meldIndex); // sapaw 1 1
+    console.log('Calls fight under 7 points:', act(cards('2♥ 4♣'), { phase: 'draw', hasOpened: true })); // fight
+}
+
+function testBotStrategies() {
+    console.log('--- Testing Bot Strategies ---');
+    const BotStrategies = require('./botStrategies');
+    console.log('Found in bots/:', BotStrategies.load().map(s => s.id).join()); // easy,medium,hard,expert
+
+    const broken = { id: 'broken', label: 'Broken Bot', takeTurn() { throw new Error('broken on purpose'); }, answerFight: () => 'maybe' };
+    console.log('Contract checked:', BotStrategies.register({ id: 'nameless' }), BotStrategies.register(broken)); // no label null
+
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'bot', id === 'p1' ? 'broken' : 'hard'));
+    session.startRound('8');
+    const seatView = id => game => ({
+        ...game,
+        stockCount: game.deck.count,
+        players: game.players.map(p => ({ ...p, hand: p.id === id ? p.hand : [], handCount: p.hand.length, fightBlockReason: game.getFightBlockReason(p), tongitOptions: p.id === id ? game.getTongitOptions(p) : null }))
+    });
+
+    // Play until the broken bot has had a turn: it falls back to a safe one
+    let brokenTurns = 0;
+    for (let turn = 0; turn < 6 && session.status === 'playing' && session.phase !== 'fight-response'; turn++) {
+        const player = session.getCurrentPlayer();
+        if (player.id === 'p1') brokenTurns++;
+        if (!BotStrategies.playTurn(session, player, null, seatView(player.id))) break;
+    }
+    console.log('Every turn played:', brokenTurns > 0, session.events.filter(e => e.type === 'discard').length >= 5 || session.status !== 'playing'); // true true
+
+    // A strategy that vandalises its view changes nothing at the table
+    const vandal = {
+        id: 'vandal', label: 'Vandal Bot', answerFight: () => 'fold',
+        takeTurn(view) {
+            view.discardPile.pop();
+            view.players.forEach(p => p.hand.forEach(card => { card.rank = 'A'; }));
+            return null;
+        }
+    };
+    BotStrategies.register(vandal);
+    const table = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => table.addPlayer(id, id, 'bot', 'vandal'));
+    table.startRound('8');
+    const first = table.getCurrentPlayer();
+    const thrown = first.hand[0];
+    table.discard(first.id, thrown.id);
+    const next = table.getCurrentPlayer();
+    BotStrategies.playTurn(table, next, null, seatView(next.id));
+    const deck = new Deck().cards;
+    console.log('View changes stay in the view:', table.discardPile[0] === thrown, table.players.every(p => p.hand.every(c => c.rank === deck[c.id].rank))); // true true
+}
+
+function testCardTracker() {
+    console.log('--- Testing Card Tracker ---');
+    const CardTracker = require('./cardTracker');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'bot', 'hard'));
+    session.startRound('21');
+
+    const dealer = session.getCurrentPlayer();
+    const next = session.players[(session.turnIndex + 1) % 3];
+    const thrown = dealer.hand[0];
+    session.discard(dealer.id, thrown.id);
+    session.drawFromStock(next.id);
+
+    const events = session.eventsVisibleTo(dealer.id);
+    console.log('Seed hidden:', events.every(e => e.seed === undefined)); // true
+    console.log("Other seat's draw hidden:", events[events.length - 1].drawnCardId === undefined); // true
+
+    const memory = new CardTracker(dealer.id);
+    memory.observe(events);
+    console.log('Remembers the discard:', memory.discards[0].playerId === dealer.id, memory.discards[0].card.id === thrown.id); // true true
+    console.log('Unseen cards:', memory.unseenCards(dealer.hand).length); // 52 - 12 in hand - 1 discarded = 39
+    console.log('Deadwood estimate is a guess, not a peek:', memory.estimateDeadwood({ id: next.id, handCount: next.hand.length }, dealer.hand) > 0); // true
+
+    // Taking back a secret set leaves the run exposed before it alone
+    const deck = new Deck().cards;
+    next.hand = '7♠ 8♠ 9♠ Q♥ Q♦ Q♣ Q♠ 2♣'.split(' ').map(c => deck.find(d => d.rank === c.slice(0, -1) && d.suit === c.slice(-1)));
+    const ids = next.hand.map(c => c.id);
+    session.exposeMeld(next.id, ids.slice(0, 3));
+    session.exposeSecretSet(next.id, ids.slice(3, 7));
+    session.undo(next.id);
+    memory.observe(session.eventsVisibleTo(dealer.id, memory.nextSeq));
+    console.log('Undo secret set:', memory.exposed.length, (memory.known[next.id] || []).length, memory.turnPlays.length); // 1 0 1
+}
+
+function testMonteCarlo() {
+    console.log('--- Testing Monte Carlo Search ---');
+    const CardTracker = require('./cardTracker');
+    const MonteCarlo = require('./monteCarlo');
+    const { createSeededRandom } = require('./gameEngine');
+    const session = new GameSession();
+    ['p1', 'p2', 'p3'].forEach(id => session.addPlayer(id, id, 'bot', 'expert'));
+    session.startRound('5');
+
+    // The seat's view: its own hand only
+    const player = session.getCurrentPlayer();
+    const view = {
+        ...session,
+        stockCount: session.deck.count,
+        players: session.players.map(p => ({ ...p, hand: p === player ? p.hand : [], handCount: p.hand.length, tongitOptions: session.getTongitOptions(p) }))
+    };
+    const memory = new CardTracker(player.id);
+    memory.observe(session.eventsVisibleTo(player.id));
+
+    const world = MonteCarlo.sampleWorld(player, view, memory, createSeededRandom(1));
+    const sizes = game => game.players.map(p => p.hand.length).join();
+    console.log('Sampled deal fits the table:', sizes(world) === sizes(session), world.deck.count === session.deck.count); // true true
+    console.log('Own hand kept:', world.getCurrentPlayer().hand.join() === player.hand.join()); // true
+
+    const move = MonteCarlo.chooseAction(player, view, memory, createSeededRandom(2), { iterations: 30 });
+    console.log('Picks a legal move:', MonteCarlo.applyMove(session.cloneForTrial(), player.id, move)); // true
+    const again = MonteCarlo.chooseAction(player, view, memory, createSeededRandom(2), { iterations: 30 });
+    console.log('Same stream, same move:', JSON.stringify(again) === JSON.stringify(move)); // true
+    const nothingLegal = MonteCarlo.search(player, view, memory, createSeededRandom(3), { iterations: 30 }, [{ action: 'discard', cardId: 999 }]);
+    console.log('Search ends with no legal move:', nothingLegal); // null
+}
+
+function testOpponentModel() {
+    console.log('--- Testing Opponent Model ---');
+    const OpponentModel = require('./opponentModel');
+    const model = new OpponentModel('bot');
+    const turn = (actorId, type = 'draw-stock') => model.apply({ type, actorId });
+
+    // Two rounds in which p2 calls a fight every other turn and p3 always challenges
+    ['start-match', 'next-round'].forEach(type => {
+        model.apply({ type });
+        for (let i = 0; i < 4; i++) {
+            turn('p2');
+            if (i % 2 === 1) {
+                turn('p2', 'call-fight');
+                model.apply({ type: 'fight-response', actorId: 'p3', response: 'challenge' });
+            }
+        }
+    });
+    console.log('Profile kept across rounds:', model.profiles.p2.turns, model.profiles.p2.fightCalls); // 8 4
+    console.log('Aggressive caller:', model.aggression('p2'), model.summary().find(o => o.playerId === 'p2').notes.includes('calls fights aggressively')); // 1 true
+    console.log('Unknown opponent looks typical:', model.habits('p4').challengeRate); // 0.5
+    console.log('Own moves ignored:', (turn('bot', 'call-fight'), model.profiles.bot === undefined)); // true
+
+    model.apply({ type: 'start-match' });
+    console.log('Forgotten on a new match:', Object.keys(model.profiles).length); // 0
+}
+
+function testDailyChallenge() {
+    console.log('--- Testing Daily Challenge ---');
+    const DailyChallenge = require('./dailyChallenge');
+    const date = '2026-10-19';
+    console.log('Same seed for a date:', DailyChallenge.seedFor(date) === DailyChallenge.seedFor(date)); // true
+    console.log('New seed the next day:', DailyChallenge.seedFor(date) !== DailyChallenge.seedFor('2026-10-20')); // true
+    console.log('Bad date rejected:', !DailyChallenge.isValidDateKey('2026-02-30'), !DailyChallenge.createSession('a', 'A', 'today')); // true true
+
+    const first = DailyChallenge.createSession('a', 'A', date);
+    const second = DailyChallenge.createSession('b', 'B', date);
+    const hands = game => game.players.map(p => p.hand.join(' ')).join('|');
+    console.log('Same deal for everyone:', hands(first) === hands(second), first.dealerIndex === second.dealerIndex); // true true
+    console.log('One round, no hints:', first.matchConfig.target, first.rules.allowHints); // 1 false
+
+    const ranked = DailyChallenge.rank([
+        { name: 'loser', isWinner: false, chips: -5, deadwood: 20, finishedAt: 1 },
+        { name: 'winner', isWinner: true, chips: 10, deadwood: 0, finishedAt: 3 },
+        { name: 'close', isWinner: false, chips: -5, deadwood: 8, finishedAt: 2 }
+    ]);
+    console.log('Ranking:', ranked.map(e => e.name).join()); // winner,close,loser
+}
+
 testDeck();
+testSeededDeal();
+testEventReplay();
+testHandHistory();
 testMeldValidation();
+testMeldPartition();
+testConcealedMelds();
+testScorer();
 testGameSession();
+testUndo();
+testLeavingMidRound();
+testSubmitTurn();
+testTurnClock();
+testHints();
+testMediumBot();
+testBotStrategies();
+testCardTracker();
+testMonteCarlo();
+testOpponentModel();
+testDailyChallenge();